@@ -1,13 +1,21 @@
 import { defineConfig } from "vitepress";
+import { withMermaid } from "vitepress-plugin-mermaid";
 import apiSidebar from "../api-sidebar.json" with { type: "json" };
+import apiVersions from "../api-versions.json" with { type: "json" };
 
-export default defineConfig({
+// withMermaid renders the ```mermaid class diagrams on generated API pages
+export default withMermaid(defineConfig({
   title: "DapperMatic",
   description:
     "IDbConnection extension methods for DDL operations across multiple database providers",
 
   base: "/",
-  ignoreDeadLinks: true,
+  // Dead links fail the build. `npm run docs:links` finds them first, with the
+  // page and line, and also checks #anchors and the links of the sidebar
+  ignoreDeadLinks: false,
+  // scripts/templates/ holds the API page templates and scripts/tests/ the
+  // expected pages of the generator tests, not pages
+  srcExclude: ["bundle/**", "coverage/**", "scripts/**"],
 
   head: [
     ['meta', { name: 'ai-docs', content: 'https://dappermatic.mjczone.com/llms.txt' }],
@@ -30,6 +38,18 @@ export default defineConfig({
           { text: "REST API", link: "/api-browser/" },
         ],
       },
+      // Switches /api/<version>/ pages to the same page in another version
+      ...(apiVersions.versions.length > 0
+        ? [
+            {
+              component: "ApiVersionSwitcher",
+              props: {
+                versions: apiVersions.versions,
+                latest: apiVersions.latest,
+              },
+            },
+          ]
+        : []),
       {
         text: "GitHub",
         link: "https://github.com/mjczone/dappermatic",
@@ -122,4 +142,4 @@ export default defineConfig({
       provider: "local",
     },
   },
-});
+}));
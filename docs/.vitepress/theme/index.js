@@ -1,9 +1,21 @@
 import DefaultTheme from "vitepress/theme";
+import ApiParam from "./components/ApiParam.vue";
+import ApiParams from "./components/ApiParams.vue";
+import ApiSearch from "./components/ApiSearch.vue";
+import ApiSignature from "./components/ApiSignature.vue";
+import ApiVersionSwitcher from "./components/ApiVersionSwitcher.vue";
 import "./custom.css";
 
 export default {
   extends: DefaultTheme,
   enhanceApp({ app }) {
-    // You can register global components here if needed
+    // Version dropdown used in the nav (see config.js)
+    app.component("ApiVersionSwitcher", ApiVersionSwitcher);
+    // Signatures and parameter lists of the generated API pages
+    app.component("ApiSignature", ApiSignature);
+    app.component("ApiParams", ApiParams);
+    app.component("ApiParam", ApiParam);
+    // Member-level search on the generated /api/<version>/search pages
+    app.component("ApiSearch", ApiSearch);
   },
 };
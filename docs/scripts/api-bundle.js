@@ -0,0 +1,266 @@
+import path from "path";
+import {
+  escapeHtml,
+  getHeadingText,
+  renderMarkdown,
+  slugify,
+} from "./markdown-renderer.js";
+
+// Joins the generated pages of an API version into one markdown file and one
+// standalone HTML file, for reading the reference without the docs site.
+//
+// The VitePress-only markup of the pages is turned into plain markdown:
+// signature components become C# code blocks, parameter components become
+// bold names with their types, and ::: containers become blockquotes. Every
+// heading gets an anchor made of its page's id and its anchor on the site, so
+// links between the bundled pages are rewritten to #page--anchor links. Links
+// to the rest of the site point at siteUrl.
+
+// Helper to get the path that identifies a page, without a trailing slash,
+// index or extension: /api/next/mjczone.dappermatic/
+function getPageKey(pagePath) {
+  return pagePath.replace(/\.(md|html)$/i, "").replace(/(^|\/)index$/, "$1").replace(/\/$/, "");
+}
+
+// Helper to get the anchor of a page in the bundle from its path below the
+// version: mjczone.dappermatic/mjczone.dappermatic.models/dmtable ->
+// mjczone-dappermatic-mjczone-dappermatic-models-dmtable
+function getPageId(pageKey, baseUrl) {
+  const relativePath = pageKey.slice(getPageKey(baseUrl).length + 1);
+  return relativePath.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "overview";
+}
+
+// Helper to join the parts of a signature component back into its C#
+function getPartsText(prop) {
+  return JSON.parse(prop)
+    .map((part) => part.text)
+    .join("");
+}
+
+// Helper to replace the Vue components of a page with plain markdown
+function replaceComponents(markdown) {
+  return markdown
+    .replace(/<ApiSignature :parts='([^']*)' \/>/g, (_, parts) =>
+      ["```csharp", getPartsText(parts), "```"].join("\n")
+    )
+    .replace(/^<ApiParam name="([^"]*)"(?: :type='([^']*)')?>$/gm, (_, name, type) =>
+      type ? `**${name}**: \`${getPartsText(type)}\`` : `**${name}**`
+    )
+    .replace(/^<\/?ApiParams?>$/gm, "")
+    .replace(/^<Api\w+[^>]*\/>$/gm, "");
+}
+
+// Convert one page to bundle markdown: headings one level down with {#id}
+// anchors, links rewritten and VitePress markup replaced
+function convertPage(page, context) {
+  const { pageIds, baseUrl, siteUrl } = context;
+  const pageKey = getPageKey(page.url);
+  const pageId = pageIds.get(pageKey);
+
+  // Rewrite a link of the page to the bundle anchor it points at, or to the
+  // site for pages that are not in the bundle
+  function rewriteUrl(url) {
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return url;
+
+    const [, linkPath, anchor] = url.match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+    const targetPath = linkPath
+      ? path.posix.resolve(path.posix.dirname(`${pageKey}/`), linkPath)
+      : pageKey;
+    const targetId = pageIds.get(getPageKey(targetPath));
+    if (!targetId) {
+      return `${siteUrl.replace(/\/$/, "")}${linkPath.startsWith("/") ? linkPath : targetPath}${
+        anchor ? `#${anchor}` : ""
+      }`;
+    }
+    return anchor ? `#${targetId}--${decodeURIComponent(anchor)}` : `#${targetId}`;
+  }
+
+  function rewriteLinks(line) {
+    return line
+      .replace(
+        /(\]\(\s*<?)([^)\s>]+)/g,
+        (_, before, url) => `${before}${rewriteUrl(url)}`
+      )
+      .replace(/(\shref=")([^"]+)/g, (_, before, url) => `${before}${rewriteUrl(url)}`);
+  }
+
+  const markdown = replaceComponents(
+    page.markdown
+      .replace(/\r\n/g, "\n")
+      .replace(/^---\n[\s\S]*?\n---\n/, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+  );
+
+  const lines = [];
+  const anchors = new Set();
+  const containers = [];
+  let fence = null;
+  let title = null;
+  for (const line of markdown.split("\n")) {
+    const quote = containers.some((container) => container !== "code-group") ? "> " : "";
+
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})(.*)$/);
+    if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+      if (fence) {
+        fence = null;
+        lines.push(`${quote}${line}`);
+        continue;
+      }
+      fence = fenceMatch[1];
+      // ```bash [.NET CLI] -> the code-group tab label above the block
+      const label = fenceMatch[2].match(/^(.*?)\s*\[([^\]]+)\]\s*$/);
+      if (label) {
+        lines.push(`${quote}**${label[2]}**`, quote.trimEnd());
+        lines.push(`${quote}${fenceMatch[1]}${label[1]}`);
+      } else {
+        lines.push(`${quote}${line}`);
+      }
+      continue;
+    }
+    if (fence) {
+      lines.push(`${quote}${line}`);
+      continue;
+    }
+
+    // ::: warning Obsolete / ::: details Inherited from ... -> a blockquote
+    // with the title in bold; ::: code-group is dropped
+    const container = line.match(/^:::\s*([a-z-]*)\s*(.*)$/);
+    if (container) {
+      if (!container[1]) {
+        containers.pop();
+      } else {
+        containers.push(container[1]);
+        if (container[1] !== "code-group") {
+          const containerTitle =
+            container[2] || container[1].charAt(0).toUpperCase() + container[1].slice(1);
+          lines.push(`> **${rewriteLinks(containerTitle)}**`, ">");
+        }
+      }
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})[ \t]+(.+?)[ \t#]*$/);
+    if (heading) {
+      const customId = heading[2].match(/\s*\{#([^}\s]+)\}$/);
+      const text = customId ? heading[2].slice(0, customId.index) : heading[2];
+      let anchor = customId ? customId[1] : slugify(getHeadingText(text));
+      if (!customId) {
+        const slug = anchor;
+        for (let index = 1; anchors.has(anchor); index++) {
+          anchor = `${slug}-${index}`;
+        }
+      }
+      anchors.add(anchor);
+
+      const level = Math.min(heading[1].length + 1, 6);
+      const id = heading[1].length === 1 ? pageId : `${pageId}--${anchor}`;
+      if (heading[1].length === 1 && title === null) {
+        title = text.trim();
+      }
+      lines.push(`${quote}${"#".repeat(level)} ${rewriteLinks(text)} {#${id}}`);
+      continue;
+    }
+
+    lines.push(`${quote}${rewriteLinks(line)}`.trimEnd());
+  }
+
+  return {
+    id: pageId,
+    title: title || pageKey,
+    markdown: lines.join("\n").replace(/\n{3,}/g, "\n\n").trim(),
+  };
+}
+
+// Helper to replace the {#id} of headings with an <a id> anchor above them,
+// which renders on GitHub and in most markdown viewers
+function toPortableMarkdown(markdown) {
+  let fence = null;
+  return markdown
+    .split("\n")
+    .map((line) => {
+      const fenceMatch = line.match(/^(?:>\s?)?\s*(`{3,}|~{3,})/);
+      if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+        fence = fence ? null : fenceMatch[1];
+        return line;
+      }
+      const heading = !fence && line.match(/^((?:>\s?)?#{1,6}[ \t]+.*?)\s*\{#([^}\s]+)\}$/);
+      return heading ? `<a id="${heading[2]}"></a>\n\n${heading[1]}` : line;
+    })
+    .join("\n");
+}
+
+const bundleStyles = `
+:root { --text: #213547; --muted: #67676c; --border: #e2e2e3; --soft: #f6f6f7; --link: #3451b2; }
+@media (prefers-color-scheme: dark) {
+  :root { --text: #dfdfd6; --muted: #98989f; --border: #3c3f44; --soft: #202127; --link: #a8b1ff; }
+  body { background: #1b1b1f; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; color: var(--text); font: 16px/1.7 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+a { color: var(--link); text-decoration: none; }
+a:hover { text-decoration: underline; }
+nav { position: fixed; top: 0; bottom: 0; left: 0; width: 300px; overflow-y: auto; padding: 24px 16px; border-right: 1px solid var(--border); background: var(--soft); font-size: 14px; }
+nav ul { margin: 0; padding-left: 14px; list-style: none; }
+nav > ul { padding-left: 0; }
+main { max-width: 960px; margin-left: 300px; padding: 24px 48px 96px; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.3; margin: 1.6em 0 0.6em; }
+h2 { padding-top: 24px; border-top: 1px solid var(--border); }
+code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.875em; }
+code { padding: 2px 5px; border-radius: 4px; background: var(--soft); }
+pre { padding: 16px; overflow-x: auto; border-radius: 8px; background: var(--soft); line-height: 1.5; }
+pre code { padding: 0; background: none; font-size: inherit; }
+table { display: block; overflow-x: auto; border-collapse: collapse; margin: 16px 0; }
+th, td { padding: 6px 12px; border: 1px solid var(--border); text-align: left; }
+th { background: var(--soft); }
+blockquote { margin: 16px 0; padding: 4px 16px; border-left: 4px solid var(--border); background: var(--soft); }
+@media (max-width: 960px) { nav { position: static; width: auto; border-right: none; } main { margin-left: 0; padding: 16px; } }
+@media print { nav { display: none; } main { margin-left: 0; } }
+`.trim();
+
+// Build the bundle of the given pages, in reading order, as { markdown, html }.
+// pages: [{ url, depth, markdown }] where url is the page's path on the site;
+// options: { title, description, baseUrl, siteUrl }
+function createApiBundle(pages, options) {
+  const { title, description, baseUrl, siteUrl } = options;
+  const pageIds = new Map(
+    pages.map((page) => [getPageKey(page.url), getPageId(getPageKey(page.url), baseUrl)])
+  );
+  const converted = pages.map((page) => ({
+    ...convertPage(page, { pageIds, baseUrl, siteUrl }),
+    depth: page.depth,
+  }));
+
+  const contents = converted
+    .map(({ id, title: pageTitle, depth }) => `${"  ".repeat(depth)}- [${pageTitle}](#${id})`)
+    .join("\n");
+  const header = `# ${title} {#top}\n\n${description}`;
+  const body = converted.map((page) => page.markdown).join("\n\n");
+
+  const markdown = toPortableMarkdown(
+    `${header}\n\n## Contents {#contents}\n\n${contents}\n\n${body}\n`
+  );
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${bundleStyles}
+</style>
+</head>
+<body>
+<nav aria-label="Contents">
+<p><strong><a href="#top">${escapeHtml(title)}</a></strong></p>
+${renderMarkdown(contents)}
+</nav>
+<main>
+${renderMarkdown(`${header}\n\n${body}`)}
+</main>
+</body>
+</html>
+`;
+  return { markdown, html };
+}
+
+export { createApiBundle };
@@ -0,0 +1,406 @@
+import fs from "fs";
+import {
+  extractParameterTypes,
+  loadJsonPackages,
+  registerDocumentedTypes,
+  sanitizeUrlName,
+} from "./api-docs-generator.js";
+
+// Compares two snapshots of the Akov JSON in docs/packages (for example from
+// two release tags) and creates the "API changes" page, listing added and
+// removed types, changed member signatures, property types and enum members,
+// with breaking changes flagged. generate-api-changes.js is the command line.
+
+// Report sections in display order
+const changeCategories = [
+  { key: "addedTypes", title: "Added Types" },
+  { key: "removedTypes", title: "Removed Types" },
+  { key: "changedTypes", title: "Changed Types" },
+  { key: "removedMembers", title: "Removed Members" },
+  { key: "changedSignatures", title: "Changed Method Signatures" },
+  { key: "addedMembers", title: "Added Members" },
+  { key: "changedPropertyTypes", title: "Changed Property Types" },
+  { key: "enumMemberChanges", title: "Enum Member Changes" },
+];
+
+// Load a snapshot of the packages directory as a Map of assembly name to
+// package data. Every file is validated against akov-package.schema.json, as
+// generate-api-docs.js does, so a malformed snapshot is reported by file and
+// JSON path.
+function loadSnapshot(directory) {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Packages directory not found: ${directory}`);
+  }
+
+  return new Map(
+    loadJsonPackages(directory).map(({ assemblyName, apiData }) => [assemblyName, apiData])
+  );
+}
+
+// Helper to index the public types of a snapshot by commentId, with the page
+// generate-api-docs.js writes for each in the given API version folder
+function indexTypes(assemblies, apiVersion) {
+  const types = new Map();
+  for (const [assemblyName, apiData] of assemblies) {
+    for (const namespace of apiData.data) {
+      const namespaceName = namespace.self.displayName;
+      for (const type of namespace.types) {
+        if (type.payloadInfo.accessLevel !== "Public") continue;
+
+        const commentId = type.commentId || `T:${namespaceName}.${type.name}`;
+        types.set(commentId, {
+          assemblyName,
+          namespaceName,
+          type,
+          url: `/api/${apiVersion}/${sanitizeUrlName(
+            assemblyName
+          )}/${sanitizeUrlName(namespaceName)}/${sanitizeUrlName(type.name)}`,
+        });
+      }
+    }
+  }
+  return types;
+}
+
+// Helper to shorten the commentId of a method or constructor for display, with
+// its parameter types as the API pages show them:
+// "M:MJCZone.DapperMatic.Models.DmTable.#ctor(System.String)" -> "DmTable(string)"
+function formatCallable(member, typeName) {
+  const name = getCallableName(member);
+  const parameters = member.commentId.includes("(")
+    ? `(${extractParameterTypes(member).join(", ")})`
+    : "";
+  return `${name === "#ctor" ? typeName.replace(/`\d+$/, "") : name}${parameters}`;
+}
+
+// Helper to get the type of a property or field
+function getMemberType(member) {
+  return member.returnType || member.type || "";
+}
+
+// Helper to list the methods and constructors of a type by commentId
+function getCallables(type) {
+  const callables = new Map();
+  for (const member of [...(type.constructors || []), ...(type.methods || [])]) {
+    if (member.commentId) {
+      callables.set(member.commentId, member);
+    }
+  }
+  return callables;
+}
+
+// Helper to get the name overloads are grouped by
+function getCallableName(member) {
+  const signature = member.commentId.slice(2);
+  const paramStart = signature.indexOf("(");
+  const fullName = paramStart === -1 ? signature : signature.slice(0, paramStart);
+  return fullName.slice(fullName.lastIndexOf(".") + 1).replace(/``\d+$/, "");
+}
+
+// Compare the methods and constructors of a type present in both snapshots.
+// A removed overload is reported as a changed signature when the new version
+// still has a member of that name, otherwise as a removed member.
+function compareCallables(oldEntry, newEntry, changes) {
+  const typeName = newEntry.type.name;
+  const isInterface = newEntry.type.elementType === "Interface";
+  const oldCallables = getCallables(oldEntry.type);
+  const newCallables = getCallables(newEntry.type);
+
+  const addedByName = new Map();
+  for (const [commentId, member] of newCallables) {
+    if (oldCallables.has(commentId)) continue;
+    const name = getCallableName(member);
+    if (!addedByName.has(name)) addedByName.set(name, []);
+    addedByName.get(name).push(commentId);
+  }
+
+  for (const [commentId, oldMember] of oldCallables) {
+    const newMember = newCallables.get(commentId);
+    if (newMember) {
+      const oldReturnType = oldMember.returnType || "";
+      const newReturnType = newMember.returnType || "";
+      if (oldReturnType !== newReturnType) {
+        changes.changedSignatures.push({
+          type: typeName,
+          url: newEntry.url,
+          member: formatCallable(oldMember, typeName),
+          change: `Return type changed from \`${oldReturnType || "void"}\` to \`${
+            newReturnType || "void"
+          }\``,
+          breaking: true,
+        });
+      }
+      continue;
+    }
+
+    const replacements = addedByName.get(getCallableName(oldMember));
+    if (replacements && replacements.length > 0) {
+      const replacement = replacements.shift();
+      changes.changedSignatures.push({
+        type: typeName,
+        url: newEntry.url,
+        member: formatCallable(oldMember, typeName),
+        change: `Now \`${formatCallable(newCallables.get(replacement), typeName)}\``,
+        breaking: true,
+      });
+      newCallables.delete(replacement);
+      continue;
+    }
+
+    changes.removedMembers.push({
+      type: typeName,
+      url: newEntry.url,
+      member: formatCallable(oldMember, typeName),
+      change: "Removed",
+      breaking: true,
+    });
+  }
+
+  for (const [commentId, newMember] of newCallables) {
+    if (oldCallables.has(commentId)) continue;
+    changes.addedMembers.push({
+      type: typeName,
+      url: newEntry.url,
+      member: formatCallable(newMember, typeName),
+      change: isInterface ? "Added to interface" : "Added",
+      // Implementations of the interface no longer compile
+      breaking: isInterface,
+    });
+  }
+}
+
+// Compare the properties, fields and events of a type present in both snapshots
+function compareValueMembers(oldEntry, newEntry, changes) {
+  const typeName = newEntry.type.name;
+  const isInterface = newEntry.type.elementType === "Interface";
+
+  for (const key of ["properties", "fields", "events"]) {
+    const oldMembers = new Map((oldEntry.type[key] || []).map((m) => [m.name, m]));
+    const newMembers = new Map((newEntry.type[key] || []).map((m) => [m.name, m]));
+
+    for (const [name, oldMember] of oldMembers) {
+      const newMember = newMembers.get(name);
+      if (!newMember) {
+        changes.removedMembers.push({
+          type: typeName,
+          url: newEntry.url,
+          member: name,
+          change: "Removed",
+          breaking: true,
+        });
+      } else if (getMemberType(oldMember) !== getMemberType(newMember)) {
+        changes.changedPropertyTypes.push({
+          type: typeName,
+          url: newEntry.url,
+          member: name,
+          change: `\`${getMemberType(oldMember)}\` → \`${getMemberType(newMember)}\``,
+          breaking: true,
+        });
+      }
+    }
+
+    for (const name of newMembers.keys()) {
+      if (oldMembers.has(name)) continue;
+      changes.addedMembers.push({
+        type: typeName,
+        url: newEntry.url,
+        member: name,
+        change: isInterface ? "Added to interface" : "Added",
+        breaking: isInterface,
+      });
+    }
+  }
+}
+
+// Compare the members of an enum present in both snapshots
+function compareEnumMembers(oldEntry, newEntry, changes) {
+  const typeName = newEntry.type.name;
+  const getMembers = (type) =>
+    new Map(
+      (type.enumMembers || [])
+        .filter((m) => m.name !== "value__")
+        .map((m) => [m.name, m])
+    );
+  const oldMembers = getMembers(oldEntry.type);
+  const newMembers = getMembers(newEntry.type);
+
+  for (const [name, oldMember] of oldMembers) {
+    const newMember = newMembers.get(name);
+    if (!newMember) {
+      changes.enumMemberChanges.push({
+        type: typeName,
+        url: newEntry.url,
+        member: name,
+        change: "Removed",
+        breaking: true,
+      });
+    } else if (
+      oldMember.value !== undefined &&
+      newMember.value !== undefined &&
+      String(oldMember.value) !== String(newMember.value)
+    ) {
+      changes.enumMemberChanges.push({
+        type: typeName,
+        url: newEntry.url,
+        member: name,
+        change: `Value changed from \`${oldMember.value}\` to \`${newMember.value}\``,
+        breaking: true,
+      });
+    }
+  }
+
+  for (const name of newMembers.keys()) {
+    if (oldMembers.has(name)) continue;
+    changes.enumMemberChanges.push({
+      type: typeName,
+      url: newEntry.url,
+      member: name,
+      change: "Added",
+      breaking: false,
+    });
+  }
+}
+
+// Compare two snapshots (Maps of assembly name to package data) and return the
+// changes by category. Type links point at the pages of apiVersion.
+function compareSnapshots(oldAssemblies, newAssemblies, apiVersion = "next") {
+  const changes = Object.fromEntries(changeCategories.map((c) => [c.key, []]));
+  const oldTypes = indexTypes(oldAssemblies, apiVersion);
+  const newTypes = indexTypes(newAssemblies, apiVersion);
+
+  // Generic types are shown with the type parameter names of the new snapshot
+  registerDocumentedTypes(
+    [...newAssemblies].map(([assemblyName, apiData]) => ({ assemblyName, apiData }))
+  );
+
+  for (const [commentId, oldEntry] of oldTypes) {
+    const newEntry = newTypes.get(commentId);
+    if (!newEntry) {
+      changes.removedTypes.push({
+        type: `${oldEntry.namespaceName}.${oldEntry.type.name}`,
+        change: `${oldEntry.type.elementType} removed`,
+        breaking: true,
+      });
+      continue;
+    }
+
+    if (oldEntry.type.elementType !== newEntry.type.elementType) {
+      changes.changedTypes.push({
+        type: newEntry.type.name,
+        url: newEntry.url,
+        change: `Changed from ${oldEntry.type.elementType} to ${newEntry.type.elementType}`,
+        breaking: true,
+      });
+    }
+
+    const oldBase = oldEntry.type.baseType && oldEntry.type.baseType.url;
+    const newBase = newEntry.type.baseType && newEntry.type.baseType.url;
+    if (oldBase !== newBase) {
+      changes.changedTypes.push({
+        type: newEntry.type.name,
+        url: newEntry.url,
+        change: `Base class changed from \`${
+          oldEntry.type.baseType ? oldEntry.type.baseType.displayName : "none"
+        }\` to \`${newEntry.type.baseType ? newEntry.type.baseType.displayName : "none"}\``,
+        breaking: true,
+      });
+    }
+
+    const newInterfaces = new Set(
+      (newEntry.type.implementedInterfaces || []).map((i) => i.url)
+    );
+    for (const iface of oldEntry.type.implementedInterfaces || []) {
+      if (newInterfaces.has(iface.url)) continue;
+      changes.changedTypes.push({
+        type: newEntry.type.name,
+        url: newEntry.url,
+        change: `No longer implements \`${iface.displayName}\``,
+        breaking: true,
+      });
+    }
+
+    compareCallables(oldEntry, newEntry, changes);
+    compareValueMembers(oldEntry, newEntry, changes);
+    if (newEntry.type.elementType === "Enum") {
+      compareEnumMembers(oldEntry, newEntry, changes);
+    }
+  }
+
+  for (const [commentId, newEntry] of newTypes) {
+    if (oldTypes.has(commentId)) continue;
+    changes.addedTypes.push({
+      type: `${newEntry.namespaceName}.${newEntry.type.name}`,
+      url: newEntry.url,
+      change: `${newEntry.type.elementType} added`,
+      breaking: false,
+    });
+  }
+
+  return changes;
+}
+
+// Helper to escape text for a markdown table cell. Generic type names only
+// appear inside code spans, which VitePress escapes.
+function formatCell(text) {
+  return text.replace(/\|/g, "\\|");
+}
+
+// Generate the "API changes" page
+function generateChangesMarkdown(changes, oldLabel, newLabel) {
+  const allChanges = Object.values(changes).flat();
+  const breakingCount = allChanges.filter((c) => c.breaking).length;
+
+  let markdown = `# API Changes\n\n`;
+  markdown += `Public API changes from **${oldLabel}** to **${newLabel}**.\n\n`;
+
+  if (allChanges.length === 0) {
+    markdown += `No public API changes.\n`;
+    return markdown;
+  }
+
+  if (breakingCount > 0) {
+    markdown += `::: danger Breaking changes\n${breakingCount} of ${allChanges.length} changes may break code compiled against ${oldLabel}.\n:::\n\n`;
+  } else {
+    markdown += `::: tip\nNo breaking changes.\n:::\n\n`;
+  }
+
+  markdown += `## Summary\n\n`;
+  markdown += "| Category | Changes | Breaking |\n";
+  markdown += "|----------|---------|----------|\n";
+  for (const category of changeCategories) {
+    const entries = changes[category.key];
+    if (entries.length === 0) continue;
+    markdown += `| [${category.title}](#${sanitizeUrlName(category.title)}) | ${
+      entries.length
+    } | ${entries.filter((c) => c.breaking).length} |\n`;
+  }
+  markdown += "\n";
+
+  for (const category of changeCategories) {
+    const entries = changes[category.key];
+    if (entries.length === 0) continue;
+
+    const hasMembers = entries.some((c) => c.member);
+    markdown += `## ${category.title}\n\n`;
+    markdown += hasMembers
+      ? "| Type | Member | Change |\n|------|--------|--------|\n"
+      : "| Type | Change |\n|------|--------|\n";
+
+    for (const entry of entries) {
+      const typeCell = entry.url
+        ? `[${formatCell(entry.type)}](${entry.url})`
+        : formatCell(entry.type);
+      const changeCell = `${entry.breaking ? '<Badge type="danger" text="breaking" /> ' : ""}${formatCell(
+        entry.change
+      )}`;
+      markdown += hasMembers
+        ? `| ${typeCell} | \`${formatCell(entry.member || "")}\` | ${changeCell} |\n`
+        : `| ${typeCell} | ${changeCell} |\n`;
+    }
+    markdown += "\n";
+  }
+
+  return markdown;
+}
+
+export { changeCategories, compareSnapshots, generateChangesMarkdown, loadSnapshot };
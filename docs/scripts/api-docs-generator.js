@@ -0,0 +1,3802 @@
+import { execFileSync } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createApiBundle } from "./api-bundle.js";
+import { validatePackage } from "./package-validator.js";
+import { loadTemplates, renderTemplate } from "./template-renderer.js";
+import { mergeXmlDocs, readXmlDocs, splitCommentIdParameters } from "./xml-docs-reader.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Settings of a generator run, replaced by configure(). The defaults are those
+// of `npm run generate-api`; see generate-api-docs.js for the matching
+// command line options.
+//   packagesDir           Directory of the Akov JSON, XML docs and sidecar maps
+//   outputDir             Directory the /api/<version>/ folders are written to
+//   version               Version the pages are generated for
+//   versionsManifestPath  Published versions, read by .vitepress/config.js
+//   sidebarConfigPath     Sidebar of each version, read by .vitepress/config.js
+//   config                Docs config file; when null, docs/api-docs.config.json
+//                         is read if it exists
+//   projectsDir           Directory of the <Assembly>/<Assembly>.csproj project files
+//                         the assembly pages read package details from
+//   xml                   XML documentation files to read instead of packagesDir
+//   sourceMaps, genericsMaps, attributesMaps
+//                         Extra sidecar map files to read
+//   sourceRef             Commit or tag the source links point at (default: git HEAD)
+//   sourceRepo            GitHub repository the source links point at
+//   bundleDir             Where to write the offline bundle of the version
+//                         (api-reference-<version>.md and .html), or null
+//   siteUrl               Address of the published site, which bundle links to
+//                         pages outside the API reference point at
+//   strict                Fail on element types the schema does not know
+//   quiet                 Leave out the progress messages
+const defaultSettings = {
+  packagesDir: path.join(__dirname, "../packages"),
+  outputDir: path.join(__dirname, "../api"),
+  version: "next",
+  versionsManifestPath: path.join(__dirname, "../api-versions.json"),
+  sidebarConfigPath: path.join(__dirname, "../api-sidebar.json"),
+  config: null,
+  projectsDir: path.join(__dirname, "../../src"),
+  xml: null,
+  sourceMaps: [],
+  genericsMaps: [],
+  attributesMaps: [],
+  sourceRef: null,
+  sourceRepo: "https://github.com/mjczone/dappermatic",
+  bundleDir: null,
+  siteUrl: "https://dappermatic.mjczone.com",
+  strict: false,
+  quiet: false,
+};
+let settings = defaultSettings;
+
+// Each version is generated into its own /api/<version>/ folder so older
+// releases stay published
+let packagesDir;
+let apiOutputDir;
+let apiVersion;
+let apiBaseUrl;
+let versionOutputDir;
+let versionsManifestPath;
+let sidebarConfigPath;
+
+// Files the previous run wrote to the version folder. Files it wrote that the
+// current run does not are pages of removed types and get deleted; anything
+// else in the folder (such as changes.md) is left alone.
+let generatedFilesPath;
+const generatedFiles = new Set();
+const writeCounts = { written: 0, unchanged: 0 };
+
+// Settings of the optional docs config file (docs/api-docs.config.json):
+//   templates     Directory of templates that replace the ones in
+//                 scripts/templates/ one file at a time, relative to the config file
+//   sidebarDepth  1 lists assemblies in the sidebar, 2 also namespaces, and 3
+//                 also their types grouped by kind
+//   outline       VitePress outline levels of type and extension method pages
+//   namespaces    Summary (markdown) and highlighted types of namespaces, by name:
+//                 { "MJCZone.DapperMatic.Models": { "summary": "...", "highlights": ["DmTable"] } }
+const defaultDocsConfig = {
+  templates: null,
+  sidebarDepth: 3,
+  outline: [2, 3],
+  namespaces: {},
+};
+const defaultTemplatesDir = path.join(__dirname, "templates");
+let docsConfigPath;
+let docsConfig = defaultDocsConfig;
+let templates = null;
+
+// Apply the settings of the next runs over the defaults
+function configure(options = {}) {
+  settings = { ...defaultSettings, ...options };
+
+  packagesDir = path.resolve(settings.packagesDir);
+  apiOutputDir = path.resolve(settings.outputDir);
+  apiVersion = sanitizeUrlName(settings.version);
+  apiBaseUrl = `/api/${apiVersion}`;
+  versionOutputDir = path.join(apiOutputDir, apiVersion);
+  versionsManifestPath = path.resolve(settings.versionsManifestPath);
+  sidebarConfigPath = path.resolve(settings.sidebarConfigPath);
+  generatedFilesPath = path.join(versionOutputDir, ".generated-files.json");
+  docsConfigPath = path.resolve(
+    settings.config || path.join(__dirname, "../api-docs.config.json")
+  );
+}
+
+// Helper to print a progress message, unless the run is quiet
+function log(message) {
+  if (!settings.quiet) {
+    console.log(message);
+  }
+}
+
+configure();
+
+// Helper to sanitize names for URLs
+function sanitizeUrlName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9-_.]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Helper to get friendly display names for assemblies
+function getDisplayName(assemblyName) {
+  const displayNames = {
+    "MJCZone.DapperMatic": "🔧 DapperMatic Core",
+    "MJCZone.DapperMatic.AspNetCore": "🌐 ASP.NET Core"
+  };
+
+  return displayNames[assemblyName] || assemblyName;
+}
+
+// Helper to hash the content of a generated file
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Helper to write a file only when its content hash changed, so VitePress
+// only reloads the pages that are actually different
+function writeFileIfChanged(filePath, content) {
+  if (
+    fs.existsSync(filePath) &&
+    hashContent(fs.readFileSync(filePath)) === hashContent(content)
+  ) {
+    writeCounts.unchanged++;
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  writeCounts.written++;
+}
+
+// Helper to write a page of the version being generated
+function writeGeneratedFile(filePath, content) {
+  keepGeneratedFile(filePath);
+  writeFileIfChanged(filePath, content);
+}
+
+// Helper to keep a page of the version that this run does not render again
+function keepGeneratedFile(filePath) {
+  generatedFiles.add(
+    path.relative(versionOutputDir, filePath).split(path.sep).join("/")
+  );
+}
+
+// Helper to read the files written by the previous run
+function readGeneratedFiles() {
+  if (!fs.existsSync(generatedFilesPath)) return [];
+  return JSON.parse(fs.readFileSync(generatedFilesPath, "utf-8"));
+}
+
+// Delete the files the previous run wrote that this run did not, and the
+// folders that leaves empty. Returns the number of deleted files.
+function removeStaleFiles(previousFiles) {
+  let removed = 0;
+  for (const file of previousFiles) {
+    if (generatedFiles.has(file)) continue;
+
+    const filePath = path.join(versionOutputDir, file);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      removed++;
+    }
+
+    let directory = path.dirname(filePath);
+    while (
+      directory.startsWith(versionOutputDir + path.sep) &&
+      fs.existsSync(directory) &&
+      fs.readdirSync(directory).length === 0
+    ) {
+      fs.rmdirSync(directory);
+      directory = path.dirname(directory);
+    }
+  }
+  return removed;
+}
+
+// Source file and line of types and members by commentId, written next to the
+// Akov JSON by the Can_generate_docs test ({ path, line } relative to the repository root)
+const sourceLocations = new Map();
+let gitHeadRef = null;
+
+// Helper to add the entries of a source map file
+function loadSourceMap(file) {
+  const entries = JSON.parse(fs.readFileSync(file, "utf-8"));
+  for (const [commentId, location] of Object.entries(entries)) {
+    sourceLocations.set(commentId, location);
+  }
+}
+
+// Type parameters of generic types and methods by commentId, written next to
+// the Akov JSON by the Can_generate_docs test ([{ name, constraints }], with
+// constraints as C# would write them after "where T :")
+const typeParameterInfo = new Map();
+
+// Helper to add the entries of a generics map file
+function loadGenericsMap(file) {
+  const entries = JSON.parse(fs.readFileSync(file, "utf-8"));
+  for (const [commentId, typeParameters] of Object.entries(entries)) {
+    typeParameterInfo.set(commentId, typeParameters);
+  }
+}
+
+// What the Can_generate_docs test records about the attributes of each type and
+// member by commentId: { obsolete: { message, isError }, experimental:
+// { diagnosticId, urlFormat }, returnType and parameterTypes with their nullable
+// annotations (only where there are any), attributes: ["[DmTable(...)]", ...] }
+const apiAttributes = new Map();
+
+// Helper to add the entries of an attributes map file
+function loadAttributesMap(file) {
+  const entries = JSON.parse(fs.readFileSync(file, "utf-8"));
+  for (const [commentId, attributes] of Object.entries(entries)) {
+    apiAttributes.set(commentId, attributes);
+  }
+}
+
+// Helper to get the attributes map entry of a type or member ({} if there is none)
+function getApiAttributes(commentId) {
+  return apiAttributes.get(commentId) || {};
+}
+
+// Helper to get the commit or tag source links are pinned to
+function getSourceRef() {
+  if (settings.sourceRef) return settings.sourceRef;
+
+  if (!gitHeadRef) {
+    try {
+      gitHeadRef = execFileSync("git", ["rev-parse", "HEAD"], {
+        cwd: __dirname,
+        encoding: "utf-8",
+      }).trim();
+    } catch {
+      gitHeadRef = "main";
+    }
+  }
+  return gitHeadRef;
+}
+
+// Helper to get the source link of a type or member, e.g.
+// { label: "Providers/Base/DatabaseMethodsBase.Tables.cs#L42",
+//   url: "https://github.com/.../blob/<ref>/src/MJCZone.DapperMatic/Providers/Base/DatabaseMethodsBase.Tables.cs#L42" }
+function getSourceLink(commentId) {
+  const location = commentId && sourceLocations.get(commentId);
+  if (!location) return null;
+
+  const lineSuffix = location.line ? `#L${location.line}` : "";
+  const label = `${location.path.replace(/^src\/[^/]+\//, "")}${lineSuffix}`;
+  const url = `${settings.sourceRepo.replace(/\/$/, "")}/blob/${getSourceRef()}/${
+    location.path
+  }${lineSuffix}`;
+  return { label, url };
+}
+
+// Helper to sanitize inheritance URLs (preserves path structure)
+function sanitizeInheritanceUrl(url) {
+  return url
+    .split("/")
+    .map((part) => sanitizeUrlName(part))
+    .join("/");
+}
+
+// Documented types by full name ("MJCZone.DapperMatic.Models.DmTable"), used to
+// resolve <see cref="..."/> references. Populated before any page is generated.
+const crefTargets = new Map();
+
+// Helper to register a documented type as a cref target
+function registerCrefTarget(type, namespaceName, assemblyName) {
+  const memberAnchors = new Map();
+  for (const [member, anchor] of getMemberAnchors(type)) {
+    if (member.commentId) {
+      memberAnchors.set(member.commentId, anchor);
+    }
+  }
+
+  crefTargets.set(`${namespaceName}.${type.name}`, {
+    url: `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}/${sanitizeUrlName(
+      namespaceName
+    )}/${sanitizeUrlName(type.name)}`,
+    elementType: type.elementType,
+    memberAnchors,
+    type,
+    fullName: `${namespaceName}.${type.name}`,
+    namespaceName,
+  });
+}
+
+// Member collections that are inherited by derived types and interfaces
+// (constructors are not), with the label used on type pages
+const inheritableMemberKinds = [
+  { key: "methods", label: "Method" },
+  { key: "properties", label: "Property" },
+  { key: "fields", label: "Field" },
+];
+
+// Helper to find the documented type a baseType or implementedInterfaces entry
+// points at ("MJCZone.DapperMatic.Providers.Base/DatabaseMethodsBase`1")
+function findInheritanceTarget(reference) {
+  if (!reference || !reference.url) return null;
+  return crefTargets.get(getReferenceFullName(reference)) || null;
+}
+
+// Helper to get the full name of a baseType or implementedInterfaces entry
+function getReferenceFullName(reference) {
+  return reference.url.replace("/", ".");
+}
+
+// Helper to get a member's signature without its declaring type, used to match
+// overrides and implementations across types ("methods:GetDatabaseVersionAsync(System.Data.IDbConnection,...)")
+function getMemberSignatureKey(member, kindKey) {
+  if (!member.commentId) return `${kindKey}:${member.name}`;
+
+  const fullSignature = member.commentId.slice(2);
+  const paramStart = fullSignature.indexOf("(");
+  const fullName =
+    paramStart === -1 ? fullSignature : fullSignature.slice(0, paramStart);
+  const parameters = paramStart === -1 ? "" : fullSignature.slice(paramStart);
+  return `${kindKey}:${fullName.slice(fullName.lastIndexOf(".") + 1)}${parameters}`;
+}
+
+// Helper to collect the members a type inherits from documented base classes
+// and interfaces. Returns the inherited members grouped by declaring type
+// (base classes nearest first, then interfaces), and a map from each member the
+// type redeclares to the base or interface member it overrides or implements.
+function getInheritedMembers(type) {
+  const declared = new Map();
+  for (const kind of inheritableMemberKinds) {
+    for (const member of type[kind.key] || []) {
+      declared.set(getMemberSignatureKey(member, kind.key), member);
+    }
+  }
+
+  const seen = new Set(declared.keys());
+  const visited = new Set();
+  const sections = [];
+  const relations = new Map();
+
+  function addDeclaringType(target, isInterface) {
+    if (!target || visited.has(target)) return;
+    visited.add(target);
+
+    const members = [];
+    for (const kind of inheritableMemberKinds) {
+      for (const member of target.type[kind.key] || []) {
+        const key = getMemberSignatureKey(member, kind.key);
+        const ownMember = declared.get(key);
+        if (ownMember) {
+          if (!relations.has(ownMember)) {
+            relations.set(ownMember, { target, member, kind, isInterface });
+          }
+          continue;
+        }
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        members.push({ member, kind });
+      }
+    }
+
+    if (members.length > 0) {
+      sections.push({ target, isInterface, members });
+    }
+  }
+
+  // Walk the base class chain first, collecting interfaces along the way
+  const interfaces = [...(type.implementedInterfaces || [])];
+  let baseTarget = findInheritanceTarget(type.baseType);
+  while (baseTarget && !visited.has(baseTarget)) {
+    addDeclaringType(baseTarget, false);
+    interfaces.push(...(baseTarget.type.implementedInterfaces || []));
+    baseTarget = findInheritanceTarget(baseTarget.type.baseType);
+  }
+
+  // Then interfaces, including the interfaces they extend
+  for (let i = 0; i < interfaces.length; i++) {
+    const target = findInheritanceTarget(interfaces[i]);
+    if (!target || visited.has(target)) continue;
+    addDeclaringType(target, true);
+    interfaces.push(...(target.type.implementedInterfaces || []));
+  }
+
+  return { sections, relations };
+}
+
+// Helper to get the keys of the documented base classes and interfaces a type
+// inherits members from, nearest first
+function getAncestorKeys(type) {
+  const keys = [];
+  const visited = new Set();
+  const references = [type.baseType, ...(type.implementedInterfaces || [])];
+  for (let i = 0; i < references.length; i++) {
+    const target = findInheritanceTarget(references[i]);
+    if (!target || visited.has(target)) continue;
+
+    visited.add(target);
+    keys.push(`${sanitizeUrlName(target.namespaceName)}/${sanitizeUrlName(target.type.name)}`);
+    references.push(target.type.baseType, ...(target.type.implementedInterfaces || []));
+  }
+  return keys;
+}
+
+// Helper to get the display name of a documented type (DatabaseMethodsBase<TProviderTypeMap>)
+function getTargetDisplayName(target) {
+  return target.type.self && target.type.self.displayName
+    ? target.type.self.displayName
+    : getTypeDisplayName(target.type, target.namespaceName);
+}
+
+// Helper to link to a member on its declaring type's page
+function getInheritedMemberUrl(target, member) {
+  const anchor =
+    (member.commentId && target.memberAnchors.get(member.commentId)) ||
+    getMemberAnchor(member.name);
+  return `${target.url}#${anchor}`;
+}
+
+// Helper to describe the base or interface member a member overrides or implements
+function formatMemberRelation(member, relation) {
+  const isOverride = member.payloadInfo && member.payloadInfo.isOverride;
+  if (!relation) {
+    return isOverride ? "`override`" : "";
+  }
+
+  const label = relation.isInterface ? "Implements" : "Overrides";
+  const badge = relation.isInterface ? "" : "`override` ";
+  const name = escapeAngleBrackets(
+    `${getTargetDisplayName(relation.target)}.${relation.member.name}`
+  );
+  return `${badge}**${label}:** [${name}](${getInheritedMemberUrl(
+    relation.target,
+    relation.member
+  )})`;
+}
+
+// Get the collapsible "Inherited from X" sections of a type page for the template
+function getInheritedMembersView(sections) {
+  return sections.map((section) => ({
+    label: section.isInterface ? "Implemented from" : "Inherited from",
+    name: escapeAngleBrackets(getTargetDisplayName(section.target)),
+    url: section.target.url,
+    members: section.members.map(({ member, kind }) => {
+      const isOverride = member.payloadInfo && member.payloadInfo.isOverride;
+      const label =
+        kind.key === "methods"
+          ? formatOverloadLabel(member.title || member.name, member)
+          : member.name;
+      return {
+        label: formatObsoleteLabel(escapeAngleBrackets(label), member.commentId),
+        url: getInheritedMemberUrl(section.target, member),
+        kind: `${kind.label}${isOverride ? " (override)" : ""}`,
+        summary: formatTableText(member.summary || ""),
+      };
+    }),
+  }));
+}
+
+// Helper to create the anchor of a member heading on a type page
+function getMemberAnchor(memberName) {
+  return memberName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Helper to group methods by name (overloads), keeping declaration order
+function groupOverloads(methods) {
+  const groups = new Map();
+  for (const method of methods || []) {
+    const name = method.title || method.name;
+    if (!groups.has(name)) {
+      groups.set(name, { name, overloads: [] });
+    }
+    groups.get(name).overloads.push(method);
+  }
+  return [...groups.values()];
+}
+
+// Helper to create the anchor of one overload from its commentId, e.g.
+// "M:Ns.DbConnectionExtensions.DoesTableExistAsync(System.Data.IDbConnection,System.String)"
+// -> "doestableexistasync-idbconnection-string"
+function getOverloadAnchor(member, memberName, index) {
+  const commentId = member.commentId;
+  if (!commentId || commentId === "NOT FOUND") {
+    return `${getMemberAnchor(memberName)}-${index + 1}`;
+  }
+
+  const name = commentId.slice(2).replace(/\(.*$/, "").split(".").pop();
+  const params = splitCommentIdParameters(commentId).map((param) =>
+    shortenCommentIdType(param)
+      .replace(/\[[^\]]*\]/g, "-array")
+      .replace(/@$/, "-ref")
+      .replace(/\*/g, "-ptr")
+  );
+  return getMemberAnchor(
+    [name, ...(params.length > 0 ? params : ["noargs"])].join("-")
+  );
+}
+
+// Helper to label one overload with its generic arity and parameter types,
+// e.g. "DoesTableExistAsync<T>(IDbConnection, IDbTransaction, CancellationToken)"
+function formatOverloadLabel(name, member, firstParameter = 0) {
+  const arity = getMethodArity(member.commentId);
+  const genericSuffix =
+    arity > 0
+      ? `<${getTypeParameterNames(member, member.commentId, arity).join(", ")}>`
+      : "";
+  return `${name}${genericSuffix}(${formatCommentIdParameters(
+    member,
+    firstParameter
+  )})`;
+}
+
+// Helper to get the anchor of every method and constructor on a type page.
+// Methods without overloads are anchored by name; overloads and constructors
+// get an anchor derived from their commentId so links point at one signature.
+function getMemberAnchors(type) {
+  const anchors = new Map();
+  for (const group of groupOverloads(type.methods)) {
+    group.overloads.forEach((method, index) => {
+      anchors.set(
+        method,
+        group.overloads.length > 1
+          ? getOverloadAnchor(method, group.name, index)
+          : getMemberAnchor(group.name)
+      );
+    });
+  }
+  (type.constructors || []).forEach((ctor, index) => {
+    anchors.set(ctor, getOverloadAnchor(ctor, "ctor", index));
+  });
+  return anchors;
+}
+
+// Helper to decode the XML entities used in documentation text
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Helper to wrap text in an inline code span, even if it contains backticks
+function toInlineCode(text) {
+  return text.includes("`") ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+// Helper to resolve a cref ("T:Ns.Type", "M:Ns.Type.Method(System.String)") to a display name and URL
+function resolveCref(cref) {
+  const kind = cref.charAt(1) === ":" ? cref.charAt(0) : null;
+  let fullName = kind ? cref.slice(2) : cref;
+
+  // Drop parameter lists and generic arity markers for display and lookup
+  const paramStart = fullName.indexOf("(");
+  if (paramStart !== -1) {
+    fullName = fullName.slice(0, paramStart);
+  }
+  const cleanName = (name) => name.replace(/`+\d+/g, "");
+
+  if (kind === "T" || kind === null || kind === "!" || kind === "N") {
+    const displayName = cleanName(fullName.split(".").pop());
+    const target = crefTargets.get(fullName);
+    if (target) {
+      return { displayName, url: target.url };
+    }
+    return { displayName, url: getExternalApiUrl(fullName, kind) };
+  }
+
+  // Members: M:, P:, F:, E:
+  const lastDot = fullName.lastIndexOf(".");
+  const ownerName = fullName.slice(0, lastDot);
+  const memberName = cleanName(fullName.slice(lastDot + 1));
+  const ownerDisplayName = cleanName(ownerName.split(".").pop());
+  const isConstructor = memberName === "#ctor";
+  const displayName = isConstructor
+    ? ownerDisplayName
+    : `${ownerDisplayName}.${memberName}`;
+
+  const target = crefTargets.get(ownerName);
+  if (target) {
+    let anchor = target.memberAnchors.get(cref) || getMemberAnchor(memberName);
+    if (isConstructor && !target.memberAnchors.has(cref)) {
+      anchor = "constructors";
+    } else if (kind === "F" && target.elementType === "Enum") {
+      anchor = "enum-members";
+    }
+    return { displayName, url: `${target.url}#${anchor}` };
+  }
+
+  return {
+    displayName,
+    url: isConstructor
+      ? getExternalApiUrl(ownerName, "T")
+      : getExternalApiUrl(fullName, kind),
+  };
+}
+
+// Helper to link framework types and members to Microsoft Learn
+function getExternalApiUrl(fullName, kind) {
+  if (kind === "!" || !/^(System|Microsoft)\./.test(fullName)) {
+    return null;
+  }
+  return `https://learn.microsoft.com/dotnet/api/${fullName
+    .toLowerCase()
+    .replace(/`+/g, "-")}`;
+}
+
+// XML documentation tags understood by the markdown converter. Anything else
+// that looks like a tag (e.g. List<T> in decoded text) is kept as literal text.
+const xmlDocTags = new Set([
+  "a",
+  "b",
+  "br",
+  "c",
+  "code",
+  "description",
+  "em",
+  "i",
+  "inheritdoc",
+  "item",
+  "list",
+  "listheader",
+  "para",
+  "paramref",
+  "see",
+  "seealso",
+  "strong",
+  "term",
+  "typeparamref",
+]);
+
+// Helper to parse XML documentation markup into a simple node tree
+function parseXmlDocNodes(text) {
+  const root = { tag: null, attributes: {}, children: [] };
+  const stack = [root];
+  const tagRegex = /<(\/?)([a-zA-Z]+)((?:\s+[a-zA-Z-]+\s*=\s*"[^"]*")*)\s*(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const addText = (value) => {
+    if (value) current().children.push({ text: value });
+  };
+
+  while ((match = tagRegex.exec(text)) !== null) {
+    const [raw, closing, tagName, attributeText, selfClosing] = match;
+    const tag = tagName.toLowerCase();
+    addText(text.slice(lastIndex, match.index));
+    lastIndex = tagRegex.lastIndex;
+
+    if (!xmlDocTags.has(tag)) {
+      addText(raw);
+      continue;
+    }
+
+    if (closing) {
+      const openIndex = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (openIndex > 0) {
+        stack.length = openIndex;
+      } else {
+        addText(raw);
+      }
+      continue;
+    }
+
+    const attributes = {};
+    for (const attr of attributeText.matchAll(/([a-zA-Z-]+)\s*=\s*"([^"]*)"/g)) {
+      attributes[attr[1]] = decodeXmlEntities(attr[2]);
+    }
+
+    const node = { tag, attributes, children: [] };
+    current().children.push(node);
+    if (!selfClosing && tag !== "br") {
+      stack.push(node);
+    }
+  }
+  addText(text.slice(lastIndex));
+
+  return root.children;
+}
+
+// Helper to get the plain text of a node tree (used for <c> and <code>)
+function getXmlDocNodeText(nodes) {
+  return nodes
+    .map((node) =>
+      node.text !== undefined
+        ? decodeXmlEntities(node.text)
+        : node.tag === "see" || node.tag === "seealso"
+        ? node.attributes.langword ||
+          (node.attributes.cref ? resolveCref(node.attributes.cref).displayName : "") ||
+          getXmlDocNodeText(node.children)
+        : node.tag === "paramref" || node.tag === "typeparamref"
+        ? node.attributes.name || ""
+        : getXmlDocNodeText(node.children)
+    )
+    .join("");
+}
+
+// Helper to mark a cref that links nowhere (an undocumented or third-party
+// type, or one the compiler could not resolve). The HTML comment is not
+// rendered; scripts/link-checker.js reports it.
+function formatUnresolvedCref(cref) {
+  return `<!-- unresolved cref: ${cref} -->`;
+}
+
+// Helper to format a markdown link, falling back to inline code when there is no URL
+function formatDocLink(label, url, isCode) {
+  const display = isCode ? toInlineCode(label) : label;
+  return url ? `[${display}](${url})` : display;
+}
+
+// Helper to render a <list> element as a bullet list, numbered list or table
+function renderXmlDocList(node) {
+  const type = (node.attributes.type || "bullet").toLowerCase();
+  const renderCell = (children) =>
+    renderXmlDocNodes(children).replace(/\s+/g, " ").trim();
+  const getParts = (item) => {
+    const term = item.children.find((child) => child.tag === "term");
+    const description = item.children.find((child) => child.tag === "description");
+    if (!term && !description) {
+      return { term: null, description: renderCell(item.children) };
+    }
+    return {
+      term: term ? renderCell(term.children) : null,
+      description: description ? renderCell(description.children) : "",
+    };
+  };
+
+  const header = node.children.find((child) => child.tag === "listheader");
+  const items = node.children.filter((child) => child.tag === "item").map(getParts);
+
+  if (type === "table") {
+    const headerParts = header
+      ? getParts(header)
+      : { term: "Term", description: "Description" };
+    let table = `| ${headerParts.term || ""} | ${headerParts.description} |\n`;
+    table += "|------|-------------|\n";
+    for (const item of items) {
+      table += `| ${(item.term || "").replace(/\|/g, "\\|")} | ${item.description.replace(
+        /\|/g,
+        "\\|"
+      )} |\n`;
+    }
+    return `\n\n${table}\n`;
+  }
+
+  const lines = items.map((item, index) => {
+    const marker = type === "number" ? `${index + 1}.` : "-";
+    const content = item.term
+      ? `**${item.term}**${item.description ? ` – ${item.description}` : ""}`
+      : item.description;
+    return `${marker} ${content}`;
+  });
+  return `\n\n${lines.join("\n")}\n\n`;
+}
+
+// Helper to render parsed XML documentation nodes as markdown
+function renderXmlDocNodes(nodes) {
+  let markdown = "";
+
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      // Strip source indentation so indented lines do not turn into code blocks
+      markdown += escapeAngleBrackets(
+        decodeXmlEntities(node.text).replace(/\n[ \t]+/g, "\n")
+      );
+      continue;
+    }
+
+    const { tag, attributes, children } = node;
+    switch (tag) {
+      case "see":
+      case "seealso": {
+        if (attributes.langword) {
+          markdown += toInlineCode(attributes.langword);
+        } else if (attributes.href) {
+          const label = children.length > 0 ? renderXmlDocNodes(children) : attributes.href;
+          markdown += `[${label}](${attributes.href})`;
+        } else if (attributes.cref) {
+          const { displayName, url } = resolveCref(attributes.cref);
+          markdown +=
+            children.length > 0
+              ? formatDocLink(renderXmlDocNodes(children), url, false)
+              : formatDocLink(displayName, url, true);
+          if (!url) {
+            markdown += formatUnresolvedCref(attributes.cref);
+          }
+        } else {
+          markdown += renderXmlDocNodes(children);
+        }
+        break;
+      }
+      case "a":
+        markdown += attributes.href
+          ? `[${renderXmlDocNodes(children)}](${attributes.href})`
+          : renderXmlDocNodes(children);
+        break;
+      case "paramref":
+      case "typeparamref":
+        markdown += toInlineCode(attributes.name || "");
+        break;
+      case "c":
+        markdown += toInlineCode(getXmlDocNodeText(children));
+        break;
+      case "code":
+        markdown += `\n\n\`\`\`${attributes.language || "csharp"}\n${formatCodeBlockText(
+          getXmlDocNodeText(children)
+        )}\n\`\`\`\n\n`;
+        break;
+      case "para":
+        markdown += `\n\n${renderXmlDocNodes(children).trim()}\n\n`;
+        break;
+      case "list":
+        markdown += renderXmlDocList(node);
+        break;
+      case "br":
+        markdown += "<br>";
+        break;
+      case "b":
+      case "strong":
+        markdown += `**${renderXmlDocNodes(children)}**`;
+        break;
+      case "i":
+      case "em":
+        markdown += `*${renderXmlDocNodes(children)}*`;
+        break;
+      case "inheritdoc":
+        break;
+      default:
+        markdown += renderXmlDocNodes(children);
+    }
+  }
+
+  return markdown;
+}
+
+// Helper to format documentation text (XML doc markup to markdown)
+function formatDocumentation(text) {
+  if (!text) return "";
+
+  return renderXmlDocNodes(parseXmlDocNodes(text))
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Helper to strip common indentation from a <code> block
+function formatCodeBlockText(code) {
+  const lines = code.replace(/\r\n/g, "\n").split("\n");
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+
+  const indents = lines
+    .filter((line) => line.trim())
+    .map((line) => line.match(/^\s*/)[0].length);
+  const commonIndent = indents.length > 0 ? Math.min(...indents) : 0;
+
+  return lines.map((line) => line.slice(commonIndent).trimEnd()).join("\n");
+}
+
+// Helper to format text for use in markdown tables (removes line breaks)
+function formatTableText(text) {
+  if (!text) return "";
+  return formatDocumentation(text)
+    .replace(/\r?\n/g, " ") // Replace line breaks with spaces
+    .replace(/\s+/g, " ")  // Collapse multiple spaces
+    .trim();
+}
+
+// Helper to decode Unicode-escaped angle brackets and format types for display
+function decodeTypeString(typeStr) {
+  if (!typeStr) return "void";
+  return typeStr.replace(/\\u003C/g, "<").replace(/\\u003E/g, ">");
+}
+
+// Helper to extract linkable type from a type string (removes generics, nullables, etc.)
+function extractBaseTypeName(typeStr) {
+  if (!typeStr) return null;
+
+  const decoded = decodeTypeString(typeStr);
+
+  // Handle array types: Type[] -> Type
+  let baseType = decoded.replace(/\[\]$/, "");
+
+  // Handle nullable types: Type? -> Type
+  baseType = baseType.replace(/\?$/, "");
+
+  // Handle generic types: Task<Type> -> Task, List<Type> -> List
+  const genericMatch = baseType.match(/^([^<]+)</);
+  if (genericMatch) {
+    return genericMatch[1];
+  }
+
+  return baseType;
+}
+
+// Helper to extract inner types from generics (for linking) - handles nested generics recursively
+function extractGenericTypes(typeStr) {
+  if (!typeStr) return [];
+
+  const decoded = decodeTypeString(typeStr);
+  const result = [];
+
+  // Find all type names that could be documented (not system types)
+  // This regex matches type names (word characters, no dots for namespace)
+  const typeMatches = decoded.match(/\b[A-Z][a-zA-Z0-9_]*\b/g) || [];
+
+  for (const match of typeMatches) {
+    // Skip common system/primitive types but include our documented types
+    if (!isPrimitiveType(match) && match.length > 1) {
+      result.push(match);
+    }
+  }
+
+  return [...new Set(result)]; // Remove duplicates
+}
+
+// Helper to format a type with proper linking. With wrapInCode, a type that
+// links nothing is written as a code span with its angle brackets as they are,
+// since markdown shows entities in code spans literally. A code span cannot
+// hold links, so a type that links a documented type is written as markdown.
+function formatTypeWithLinks(
+  typeStr,
+  documentedTypes,
+  assemblyName,
+  wrapInCode = true
+) {
+  if (!typeStr) return wrapInCode ? "`void`" : "void";
+
+  const parts = getTypeParts(typeStr, assemblyName, documentedTypes);
+  if (wrapInCode && !parts.some((part) => part.href)) {
+    return `\`${parts.map((part) => part.text).join("")}\``;
+  }
+  return formatTypePartsMarkdown(parts);
+}
+
+// Helper to write type parts as markdown, linking documented types. Angle
+// brackets are escaped everywhere, link text included, since generic type
+// arguments would otherwise be read as HTML tags.
+function formatTypePartsMarkdown(parts) {
+  return parts
+    .map((part) =>
+      part.href
+        ? `[${escapeAngleBrackets(part.text)}](${part.href})`
+        : escapeAngleBrackets(part.text)
+    )
+    .join("");
+}
+
+// Helper to check if a type is primitive
+function isPrimitiveType(type) {
+  const primitives = [
+    "void",
+    "bool",
+    "byte",
+    "sbyte",
+    "char",
+    "decimal",
+    "double",
+    "float",
+    "int",
+    "uint",
+    "long",
+    "ulong",
+    "short",
+    "ushort",
+    "string",
+    "object",
+    "Task",
+    "List",
+    "Dictionary",
+    "Array",
+    "IEnumerable",
+    "ICollection",
+    "Version",
+    "Type",
+    "Attribute",
+    "Exception",
+    "CancellationToken",
+    "IDbConnection",
+    "IDbTransaction",
+  ];
+  return primitives.includes(type);
+}
+
+// Helper to find a documented type key (case-insensitive search). Generic
+// types are documented under their arity ("DbProviderTypeMapBase`1" ->
+// ".../dbprovidertypemapbase-1"), so pass the number of type arguments the
+// name is used with to link the definition of that arity.
+function findDocumentedTypeKey(typeName, documentedTypes, arity = 0) {
+  const searchName = sanitizeUrlName(arity > 0 ? `${typeName}\`${arity}` : typeName);
+  for (const key of documentedTypes) {
+    if (key.endsWith(`/${searchName}`)) {
+      return key;
+    }
+  }
+  return null;
+}
+
+// Helper to count the type arguments of the generic name ending at index, e.g.
+// 1 for "List<DmColumn>" and 2 for "Dictionary<string, List<int>>"
+function getGenericArity(text, index) {
+  if (text[index] !== "<") return 0;
+
+  let depth = 0;
+  let arity = 1;
+  for (let i = index; i < text.length; i++) {
+    if (text[i] === "<") depth++;
+    else if (text[i] === ">" && --depth === 0) break;
+    else if (text[i] === "," && depth === 1) arity++;
+  }
+  return arity;
+}
+
+// Helper to get the type parameter names of a generic type or method, from its
+// <typeparam> docs, then the generics map, then T (or T1, T2, ...) as a last resort
+function getTypeParameterNames(element, commentId, arity) {
+  const known = typeParameterInfo.get(commentId) || [];
+  return Array.from(
+    { length: arity },
+    (_, i) =>
+      (element.typeParameters && element.typeParameters[i]?.name) ||
+      known[i]?.name ||
+      (arity === 1 ? "T" : `T${i + 1}`)
+  );
+}
+
+// Helper to get the generic arity of a method from its commentId ("M:...Method``1(...)")
+function getMethodArity(commentId) {
+  const match = (commentId || "").replace(/\(.*$/, "").match(/``(\d+)$/);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+// Helper to get the type parameter names of the type declaring a member, which
+// its commentId refers to as `0, `1, ...
+function getDeclaringTypeParameterNames(commentId) {
+  const memberName = (commentId || "").slice(2).replace(/\(.*$/, "");
+  const target = crefTargets.get(memberName.slice(0, memberName.lastIndexOf(".")));
+  if (!target) return [];
+
+  const match = target.type.name.match(/`(\d+)$/);
+  return match
+    ? getTypeParameterNames(
+        target.type,
+        `T:${target.fullName}`,
+        parseInt(match[1], 10)
+      )
+    : [];
+}
+
+// Helper to show a generic type name the C# way, e.g. "DbProviderTypeMapBase`1"
+// -> "DbProviderTypeMapBase<TImpl>", using the names of its type parameters if known
+function getTypeDisplayName(type, namespaceName) {
+  const match = type.name.match(/^(.*)`(\d+)$/);
+  if (!match) return type.name;
+
+  const names = getTypeParameterNames(
+    type,
+    type.commentId || `T:${namespaceName}.${type.name}`,
+    parseInt(match[2], 10)
+  );
+  return `${match[1]}<${names.join(", ")}>`;
+}
+
+// Helper to create a shorter display name for namespaces
+function createDisplayName(namespaceName, assemblyName) {
+  // If the namespace exactly matches the assembly, use a root identifier
+  if (namespaceName === assemblyName) {
+    return "📦 Root";
+  }
+
+  // If the namespace starts with the assembly name, replace it with a shorter identifier
+  if (namespaceName.startsWith(assemblyName + ".")) {
+    const remainder = namespaceName.slice(assemblyName.length + 1);
+    return `📦 / ${remainder}`;
+  }
+
+  // Otherwise, use the full namespace name
+  return namespaceName;
+}
+
+// Helper to create clickable type links for parameters
+function createTypeLink(typeName, assemblyName, documentedTypes) {
+  if (!typeName) return typeName;
+  return formatTypePartsMarkdown(
+    getTypeParts(typeName, assemblyName, documentedTypes)
+  );
+}
+
+// Helper to extract the parameter types of a method from its commentId, as C#
+// would write them, e.g. "IEnumerable<DmTable>" or the name of a type parameter
+function extractParameterTypes(member) {
+  const methodTypeParams = getTypeParameterNames(
+    member,
+    member.commentId,
+    getMethodArity(member.commentId)
+  );
+  const typeTypeParams = getDeclaringTypeParameterNames(member.commentId);
+  return splitCommentIdParameters(member.commentId).map((param) =>
+    formatCommentIdType(param, methodTypeParams, typeTypeParams)
+  );
+}
+
+// Helper to drop namespace qualifiers from a commentId type, including generic arguments
+function shortenCommentIdType(type) {
+  return type.replace(/(?:[A-Za-z_][A-Za-z0-9_]*\.)+(?=[A-Za-z_])/g, "");
+}
+
+// Helper to format a commentId type for display, e.g.
+// "System.Collections.Generic.Dictionary{System.String,``0}" -> "Dictionary<string, T>".
+// ``n is the nth type parameter of the method and `n that of the declaring type.
+function formatCommentIdType(type, methodTypeParams = [], typeTypeParams = []) {
+  return shortenCommentIdType(type)
+    .replace(/[@&]$/, "")
+    .replace(/``(\d+)/g, (_, index) => methodTypeParams[index] || "T")
+    .replace(/`(\d+)/g, (_, index) => typeTypeParams[index] || `T${index}`)
+    .replace(/\{/g, "<")
+    .replace(/\}/g, ">")
+    .replace(/,(?! )/g, ", ")
+    .replace(/\b(String|Int32|Boolean|Double|Single|Int64|Int16|Byte|Object)\b/g, (name) =>
+      ({
+        String: "string",
+        Int32: "int",
+        Boolean: "bool",
+        Double: "double",
+        Single: "float",
+        Int64: "long",
+        Int16: "short",
+        Byte: "byte",
+        Object: "object",
+      })[name]
+    );
+}
+
+// Helper to format a commentId parameter list for display, e.g.
+// "(System.Data.IDbConnection,System.Collections.Generic.IEnumerable{MJCZone.DapperMatic.Models.DmTable})"
+// -> "IDbConnection, IEnumerable<DmTable>"
+function formatCommentIdParameters(member, firstParameter = 0) {
+  return extractParameterTypes(member).slice(firstParameter).join(", ");
+}
+
+// Helper to escape angle brackets for use in markdown (simple character-by-character)
+function escapeAngleBrackets(text) {
+  if (!text) return text;
+
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '<') {
+      result += '&lt;';
+    } else if (char === '>') {
+      result += '&gt;';
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+// Helper to shorten type names for better readability
+function shortenTypeName(typeName) {
+  if (!typeName) return typeName;
+
+  // Remove common namespace prefixes
+  const prefixesToRemove = [
+    'MJCZone.DapperMatic.AspNetCore.Models.Dtos.',
+    'MJCZone.DapperMatic.AspNetCore.Models.Requests.',
+    'MJCZone.DapperMatic.AspNetCore.Models.Responses.',
+    'MJCZone.DapperMatic.Models.',
+    'MJCZone.DapperMatic.',
+    'System.Threading.',
+    'System.Collections.Generic.',
+    'System.'
+  ];
+
+  let shortened = typeName;
+  for (const prefix of prefixesToRemove) {
+    if (shortened.startsWith(prefix)) {
+      shortened = shortened.substring(prefix.length);
+      break;
+    }
+  }
+
+  return shortened;
+}
+
+// C# keywords that name types, highlighted as keywords in signatures
+const csharpTypeKeywords = new Set([
+  "void",
+  "bool",
+  "byte",
+  "sbyte",
+  "char",
+  "decimal",
+  "double",
+  "float",
+  "int",
+  "uint",
+  "long",
+  "ulong",
+  "short",
+  "ushort",
+  "string",
+  "object",
+  "dynamic",
+  // Used in where clauses
+  "where",
+  "class",
+  "struct",
+  "new",
+  "notnull",
+  "unmanaged",
+]);
+
+// Helper to split a type name into signature parts, linking documented types, e.g.
+// "Task<List<DmColumn>>" -> [{ text: "Task", kind: "type" }, { text: "<" },
+//   { text: "List", kind: "type" }, { text: "<" },
+//   { text: "DmColumn", kind: "type", href: "/api/next/.../dmcolumn" }, { text: ">>" }]
+function getTypeParts(typeName, assemblyName, documentedTypes) {
+  const parts = [];
+  const text = decodeTypeString(typeName);
+  for (const match of text.matchAll(/[A-Za-z_][\w.]*|[^A-Za-z_]+/g)) {
+    const token = match[0];
+    if (!/^[A-Za-z_]/.test(token)) {
+      parts.push({ text: token });
+    } else if (csharpTypeKeywords.has(token)) {
+      parts.push({ text: token, kind: "keyword" });
+    } else {
+      const name = token.split(".").pop();
+      const arity = getGenericArity(text, match.index + token.length);
+      const typeKey =
+        !isPrimitiveType(name) &&
+        findDocumentedTypeKey(name, documentedTypes, arity);
+      parts.push(
+        typeKey
+          ? {
+              text: token,
+              kind: "type",
+              href: `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}/${typeKey}`,
+            }
+          : { text: token, kind: "type" }
+      );
+    }
+  }
+  return parts;
+}
+
+// Helper to join adjacent plain text parts, keeping the generated props short
+function mergeTextParts(parts) {
+  const merged = [];
+  for (const part of parts) {
+    const previous = merged[merged.length - 1];
+    if (previous && !previous.kind && !part.kind) {
+      previous.text += part.text;
+    } else {
+      merged.push({ ...part });
+    }
+  }
+  return merged;
+}
+
+// Helper to pass a value to a component prop bound in generated markdown, e.g.
+// <ApiSignature :parts='[...]' />. Characters that markdown or the attribute
+// quotes would change are escaped inside the JSON strings.
+function toVueProp(value) {
+  return JSON.stringify(value)
+    .replace(/&/g, "\\u0026")
+    .replace(/'/g, "\\u0027")
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e");
+}
+
+// Generate the method signature as parts for <ApiSignature>, so each type links
+// to its page and generics need no escaping. Pass { receiver: "connection" } to
+// show an extension method as called on its receiver: connection.Method(...)
+function getMethodSignature(method, assemblyName, documentedTypes, options = {}) {
+  let params = method.parameters || [];
+  let methodName = method.title || method.name || "Method";
+  const arity = getMethodArity(method.commentId);
+  if (arity > 0 && !methodName.includes("<")) {
+    methodName += `<${getTypeParameterNames(method, method.commentId, arity).join(", ")}>`;
+  }
+  const methodReturnType = getReturnType(method);
+  let returnType = methodReturnType ? shortenTypeName(methodReturnType) : null;
+  let parameterTypes = getParameterTypes(method);
+
+  if (options.receiver) {
+    params = params.slice(1);
+    parameterTypes = parameterTypes.slice(1);
+    returnType = null;
+  }
+
+  // Build parameter strings with shortened type names
+  const paramTypes = params.map((p, index) => shortenTypeName(parameterTypes[index]));
+  const paramStrings = params.map((p, index) => `${paramTypes[index]} ${p.name}`);
+
+  // Use a single line if the signature is short enough (80 chars is a good
+  // threshold), otherwise put each parameter on its own line
+  const receiverPrefix = options.receiver ? `${options.receiver}.` : "";
+  const singleLineSignature = `${returnType ? `${returnType} ` : ""}${receiverPrefix}${methodName}(${paramStrings.join(", ")})`;
+  const isMultiLine = singleLineSignature.length > 80 && params.length > 0;
+
+  const parts = [];
+  if (returnType) {
+    parts.push(...getTypeParts(returnType, assemblyName, documentedTypes), {
+      text: " ",
+    });
+  }
+  if (options.receiver) {
+    parts.push({ text: options.receiver, kind: "parameter" }, { text: "." });
+  }
+  // Generic methods are titled e.g. "QueryAsync<T>"
+  const [, baseName, typeParameters] = methodName.match(/^([^<]*)(.*)$/);
+  parts.push({ text: baseName, kind: "method" });
+  if (typeParameters) {
+    parts.push(...getTypeParts(typeParameters, assemblyName, documentedTypes));
+  }
+  parts.push({ text: "(" });
+  params.forEach((p, index) => {
+    if (isMultiLine) {
+      parts.push({ text: "\n    " }); // 4 spaces for parameter indentation
+    } else if (index > 0) {
+      parts.push({ text: ", " });
+    }
+    parts.push(
+      ...getTypeParts(paramTypes[index], assemblyName, documentedTypes),
+      { text: " " },
+      { text: p.name, kind: "parameter" }
+    );
+    if (isMultiLine && index < params.length - 1) {
+      parts.push({ text: "," });
+    }
+  });
+  parts.push({ text: ")" });
+
+  // One where clause per constrained type parameter, each on its own line
+  for (const typeParameter of typeParameterInfo.get(method.commentId) || []) {
+    if (typeParameter.constraints.length === 0) continue;
+    parts.push(
+      { text: "\n    " },
+      { text: "where", kind: "keyword" },
+      { text: " " },
+      { text: typeParameter.name, kind: "type" },
+      { text: " : " }
+    );
+    typeParameter.constraints.forEach((constraint, index) => {
+      if (index > 0) parts.push({ text: ", " });
+      parts.push(...getTypeParts(constraint, assemblyName, documentedTypes));
+    });
+  }
+
+  return mergeTextParts(parts);
+}
+
+// Get the type parameters of a generic type or method for the type-parameters
+// partial, with their <typeparam> docs and where constraints
+function getTypeParametersView(element, commentId, arity) {
+  const known = typeParameterInfo.get(commentId) || [];
+  return getTypeParameterNames(element, commentId, arity).map((name) => {
+    const doc = (element.typeParameters || []).find((p) => p.name === name);
+    const constraints = known.find((p) => p.name === name)?.constraints || [];
+    return {
+      name,
+      description: formatDocumentation(doc?.text) || "No description",
+      constraints:
+        constraints.length > 0 ? `where ${name} : ${constraints.join(", ")}` : null,
+    };
+  });
+}
+
+// Helper to create a link for an exception cref
+function createExceptionLink(cref) {
+  const { displayName, url } = resolveCref(cref);
+  return `${formatDocLink(displayName, url, !url)}${url ? "" : formatUnresolvedCref(cref)}`;
+}
+
+// Helper to flag the last item of a list, for separators in templates
+// ({{^last}}, {{/last}})
+function markLast(items) {
+  return items.map((item, index) => ({
+    ...item,
+    last: index === items.length - 1,
+  }));
+}
+
+// Columns of the provider support matrix, by the name used in
+// <provider name="...">. MariaDB runs on the MySQL provider but gets its own
+// column, since some features differ between the two.
+const providerColumns = [
+  { name: "SqlServer", title: "SQL Server" },
+  { name: "MySql", title: "MySQL" },
+  { name: "MariaDb", title: "MariaDB" },
+  { name: "PostgreSql", title: "PostgreSQL" },
+  { name: "Sqlite", title: "SQLite" },
+];
+const providerSupportLabels = {
+  full: "✅ Yes",
+  partial: "⚠️ Partial",
+  none: "❌ No",
+};
+
+// Get the provider support matrix of a type or member from its <provider>
+// doc tags, or null if it has none. Providers without a tag are fully
+// supported; notes become numbered footnotes below the table.
+function getProviderSupportView(element) {
+  if (!element.providers || element.providers.length === 0) return null;
+
+  const tags = new Map();
+  for (const provider of element.providers) {
+    const column = providerColumns.find(
+      (candidate) => candidate.name.toLowerCase() === provider.name.toLowerCase()
+    );
+    const support = (provider.support || "full").toLowerCase();
+    if (!column) {
+      console.warn(
+        `⚠️  ${element.commentId}: unknown provider "${provider.name}" (expected ${providerColumns
+          .map((candidate) => candidate.name)
+          .join(", ")})`
+      );
+    } else if (!providerSupportLabels[support]) {
+      console.warn(
+        `⚠️  ${element.commentId}: unknown support "${provider.support}" for ${provider.name} (expected full, partial or none)`
+      );
+    } else {
+      tags.set(column.name, { support, text: provider.text });
+    }
+  }
+  if (tags.size === 0) return null;
+
+  const notes = [];
+  const columns = providerColumns.map(({ name, title }) => {
+    const tag = tags.get(name) || { support: "full", text: "" };
+    let support = providerSupportLabels[tag.support];
+    if (tag.text) {
+      notes.push({ number: notes.length + 1, text: formatTableText(tag.text) });
+      support += ` <sup>${notes.length}</sup>`;
+    }
+    return { title, support };
+  });
+  return { columns, notes };
+}
+
+// Get the Remarks, Provider Support, Examples and Exceptions of a type or
+// member for the doc-sections partial. Every field is set, so a member without
+// remarks does not pick up the remarks of its type.
+function getDocSectionsView(element, headingLevel) {
+  let example = null;
+  if (element.example) {
+    // Most examples in the sources are bare code without a <code> element
+    example = formatDocumentation(
+      /<code[\s>]/.test(element.example)
+        ? element.example
+        : `<code>${element.example}</code>`
+    );
+  }
+
+  return {
+    heading: "#".repeat(headingLevel),
+    remarks: element.remarks ? formatDocumentation(element.remarks) : null,
+    providerSupport: getProviderSupportView(element),
+    example,
+    exceptions: (element.exceptions || []).map((exception) => ({
+      link: createExceptionLink(exception.cref),
+      condition: formatTableText(exception.text),
+    })),
+  };
+}
+
+// Get the [Obsolete] and [Experimental] notices and attribute usages of a type
+// or member for the status and attributes partials
+function getAttributesView(commentId) {
+  const { obsolete, experimental, attributes = [] } = getApiAttributes(commentId);
+  return {
+    obsolete: obsolete
+      ? {
+          container: obsolete.isError ? "danger" : "warning",
+          message: escapeAngleBrackets(
+            obsolete.message ||
+              "This API is obsolete and may be removed in a future version."
+          ),
+        }
+      : null,
+    experimental: experimental
+      ? {
+          diagnosticId: experimental.diagnosticId,
+          url: experimental.urlFormat
+            ? experimental.urlFormat.replace("{0}", experimental.diagnosticId)
+            : null,
+        }
+      : null,
+    attributes: markLast(attributes.map((text) => ({ text }))),
+  };
+}
+
+// Helper to get the obsolete and experimental badges of a type or member
+function getStatusBadges(commentId) {
+  const { obsolete, experimental } = getApiAttributes(commentId);
+  return [
+    ...(obsolete ? ["obsolete"] : []),
+    ...(experimental ? ["experimental"] : []),
+  ];
+}
+
+// Helper to get the badges of a method, property or field
+function getMemberBadges(member) {
+  const badges = [];
+  if (member.payloadInfo) {
+    if (member.payloadInfo.isStatic) badges.push("static");
+    if (member.payloadInfo.isAbstract) badges.push("abstract");
+    if (member.payloadInfo.isVirtual) badges.push("virtual");
+    if (member.payloadInfo.isAsync) badges.push("async");
+    if (member.payloadInfo.isExtensionMethod) badges.push("extension");
+  }
+  return markLast(
+    [...badges, ...getStatusBadges(member.commentId)].map((name) => ({ name }))
+  );
+}
+
+// Helper to strike through the name of an obsolete type or member in tables
+function formatObsoleteLabel(label, commentId) {
+  return getApiAttributes(commentId).obsolete ? `~~${label}~~` : label;
+}
+
+// Helper to get the return type of a method, or the type of a property or
+// field, with the nullable annotations from the attributes map
+function getReturnType(member) {
+  return getApiAttributes(member.commentId).returnType || member.returnType;
+}
+
+// Helper to get the parameter types of a method as C# would write them, with
+// the nullable annotations from the attributes map
+function getParameterTypes(method) {
+  const commentIdTypes = extractParameterTypes(method);
+  const { parameterTypes = {} } = getApiAttributes(method.commentId);
+  return (method.parameters || []).map(
+    (param, index) =>
+      parameterTypes[param.name] || commentIdTypes[index] || param.type || "object"
+  );
+}
+
+// Get the summary, signature, parameters, returns and doc sections of a
+// method or constructor for the method partial. headingLevel is the level of
+// the section headings; options are passed on to getMethodSignature (the
+// receiver parameter is hidden), and options.relation is the overridden or
+// implemented member, if any.
+function getMethodView(
+  method,
+  headingLevel,
+  assemblyName,
+  documentedTypes,
+  options = {}
+) {
+  const parameterTypes = getParameterTypes(method);
+  const firstParameter = options.receiver ? 1 : 0;
+  const parameters = (method.parameters || [])
+    .map((param, index) => {
+      const paramType = parameterTypes[index];
+      return {
+        name: param.name,
+        type: createTypeLink(paramType, assemblyName, documentedTypes),
+        typeParts: toVueProp(getTypeParts(paramType, assemblyName, documentedTypes)),
+        description: formatDocumentation(param.text) || "No description",
+      };
+    })
+    .slice(firstParameter);
+
+  const signatureParts = getMethodSignature(
+    method,
+    assemblyName,
+    documentedTypes,
+    options
+  );
+
+  // Show return type information
+  let returns = null;
+  const methodReturnType = getReturnType(method);
+  if (methodReturnType && methodReturnType !== "void") {
+    returns = {
+      type: formatTypeWithLinks(methodReturnType, documentedTypes, assemblyName),
+      text: method.returns ? formatDocumentation(method.returns) : null,
+    };
+  } else if (method.returns) {
+    returns = { type: null, text: formatDocumentation(method.returns) };
+  }
+
+  return {
+    ...getDocSectionsView(method, headingLevel),
+    ...getAttributesView(method.commentId),
+    badges: getMemberBadges(method),
+    summary: method.summary ? formatDocumentation(method.summary) : null,
+    relation: formatMemberRelation(method, options.relation),
+    signatureParts: toVueProp(signatureParts),
+    signature: signatureParts.map((part) => part.text).join(""),
+    source: getSourceLink(method.commentId),
+    typeParameters: getTypeParametersView(
+      method,
+      method.commentId,
+      getMethodArity(method.commentId)
+    ),
+    parameters,
+    returns,
+  };
+}
+
+// IDbConnection extension method pages, one per database object kind, in display order.
+// subject completes "extension methods for ..."; guide is the matching page
+// under /guide/extension-methods/.
+const extensionMethodCategories = [
+  {
+    slug: "general",
+    title: "General Methods",
+    subject: "provider, version and type mapping queries",
+    text: "General",
+    guide: "general-methods",
+  },
+  {
+    slug: "schemas",
+    title: "Schema Methods",
+    subject: "schemas",
+    text: "Schemas",
+    guide: "schema-methods",
+  },
+  {
+    slug: "tables",
+    title: "Table Methods",
+    subject: "tables",
+    text: "Tables",
+    guide: "table-methods",
+  },
+  {
+    slug: "columns",
+    title: "Column Methods",
+    subject: "columns",
+    text: "Columns",
+    guide: "column-methods",
+  },
+  {
+    slug: "views",
+    title: "View Methods",
+    subject: "views",
+    text: "Views",
+    guide: "view-methods",
+  },
+  {
+    slug: "indexes",
+    title: "Index Methods",
+    subject: "indexes",
+    text: "Indexes",
+    guide: "index-methods",
+  },
+  {
+    slug: "primary-key-constraints",
+    title: "Primary Key Constraint Methods",
+    subject: "primary key constraints",
+    text: "Primary Key Constraints",
+    guide: "primary-key-constraint-methods",
+  },
+  {
+    slug: "foreign-key-constraints",
+    title: "Foreign Key Constraint Methods",
+    subject: "foreign key constraints",
+    text: "Foreign Key Constraints",
+    guide: "foreign-key-constraint-methods",
+  },
+  {
+    slug: "unique-constraints",
+    title: "Unique Constraint Methods",
+    subject: "unique constraints",
+    text: "Unique Constraints",
+    guide: "unique-constraint-methods",
+  },
+  {
+    slug: "check-constraints",
+    title: "Check Constraint Methods",
+    subject: "check constraints",
+    text: "Check Constraints",
+    guide: "check-constraint-methods",
+  },
+  {
+    slug: "default-constraints",
+    title: "Default Constraint Methods",
+    subject: "default constraints",
+    text: "Default Constraints",
+    guide: "default-constraint-methods",
+  },
+];
+
+// Helper to classify an extension method by the database object it works on.
+// Order matters: constraint and index methods often mention columns or tables
+// (e.g. GetIndexesOnColumnAsync), and capability checks belong with the general methods.
+function getExtensionMethodCategory(methodName) {
+  const rules = [
+    [/^Supports(?!Schemas)|^GetSchemaQualified/, "general"],
+    [/PrimaryKey/, "primary-key-constraints"],
+    [/ForeignKey/, "foreign-key-constraints"],
+    [/UniqueConstraint/, "unique-constraints"],
+    [/CheckConstraint/, "check-constraints"],
+    [/DefaultConstraint/, "default-constraints"],
+    [/Index/, "indexes"],
+    [/Column/, "columns"],
+    [/View/, "views"],
+    [/Table/, "tables"],
+    [/Schema/, "schemas"],
+  ];
+  const rule = rules.find(([pattern]) => pattern.test(methodName));
+  return rule ? rule[1] : "general";
+}
+
+// Helper to check whether a method extends IDbConnection (first parameter is `this IDbConnection`).
+// Extension methods live in static classes; XML documentation input has no
+// isStatic flag, so the *Extensions naming convention is accepted as well.
+function isConnectionExtensionMethod(method, type) {
+  const isStaticType =
+    (type.payloadInfo && type.payloadInfo.isStatic) || /Extensions$/.test(type.name);
+  return (
+    Boolean(isStaticType) &&
+    splitCommentIdParameters(method.commentId)[0] === "System.Data.IDbConnection"
+  );
+}
+
+// Generate markdown for one IDbConnection extension method category page from
+// the extension-methods.md template
+function generateExtensionCategoryMarkdown(
+  category,
+  entries,
+  assemblyName,
+  documentedTypes
+) {
+  const declaringTypes = [...new Set(entries.map((entry) => entry.typeUrl))].map(
+    (typeUrl) => {
+      const entry = entries.find((e) => e.typeUrl === typeUrl);
+      return { name: entry.type.name, url: typeUrl };
+    }
+  );
+
+  const methods = entries.map((entry) => entry.method);
+  const memberAnchors = getMemberAnchors({ methods });
+
+  const quickReference = [];
+  for (const group of groupOverloads(methods)) {
+    for (const method of group.overloads) {
+      const label =
+        group.overloads.length > 1 ? formatOverloadLabel(group.name, method, 1) : group.name;
+      quickReference.push({
+        label: formatObsoleteLabel(escapeAngleBrackets(label), method.commentId),
+        anchor: memberAnchors.get(method),
+        summary: formatTableText(method.summary || ""),
+      });
+    }
+  }
+
+  return renderTemplate(templates, "extension-methods", {
+    outline: getOutlineFrontmatter(),
+    title: category.title,
+    subject: category.subject,
+    guideUrl: `/guide/extension-methods/${category.guide}`,
+    declaringTypes: markLast(declaringTypes),
+    quickReference,
+    methodGroups: getMethodGroupsView(
+      methods,
+      3,
+      assemblyName,
+      documentedTypes,
+      () => ({ receiver: "connection" }),
+      1
+    ),
+  });
+}
+
+// Generate the IDbConnection extension method pages for an assembly, aggregated
+// by database object. Returns the sidebar item, or null if there are none.
+function generateExtensionMethodPages(
+  assemblyName,
+  apiData,
+  assemblyDir,
+  documentedTypes
+) {
+  const entriesByCategory = new Map();
+  for (const namespace of apiData.data) {
+    for (const type of namespace.types) {
+      if (type.payloadInfo.accessLevel !== "Public") continue;
+
+      const typeUrl = `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}/${sanitizeUrlName(
+        namespace.self.displayName
+      )}/${sanitizeUrlName(type.name)}`;
+      for (const method of type.methods || []) {
+        if (!isConnectionExtensionMethod(method, type)) continue;
+
+        const slug = getExtensionMethodCategory(method.title || method.name);
+        if (!entriesByCategory.has(slug)) {
+          entriesByCategory.set(slug, []);
+        }
+        entriesByCategory.get(slug).push({ method, type, typeUrl });
+      }
+    }
+  }
+
+  if (entriesByCategory.size === 0) {
+    return null;
+  }
+
+  const baseUrl = `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}/extension-methods`;
+  const extensionDir = path.join(assemblyDir, "extension-methods");
+  if (!fs.existsSync(extensionDir)) {
+    fs.mkdirSync(extensionDir, { recursive: true });
+  }
+
+  const indexCategories = [];
+  const sidebarItems = [];
+  for (const category of extensionMethodCategories) {
+    const entries = entriesByCategory.get(category.slug);
+    if (!entries) continue;
+
+    const markdown = generateExtensionCategoryMarkdown(
+      category,
+      entries,
+      assemblyName,
+      documentedTypes
+    );
+    writeGeneratedFile(path.join(extensionDir, `${category.slug}.md`), markdown);
+
+    indexCategories.push({
+      text: category.text,
+      url: `${baseUrl}/${category.slug}`,
+      methodCount: new Set(entries.map((e) => e.method.title || e.method.name)).size,
+      title: category.title,
+      guideUrl: `/guide/extension-methods/${category.guide}`,
+    });
+    sidebarItems.push({ text: category.text, link: `${baseUrl}/${category.slug}` });
+  }
+
+  writeGeneratedFile(
+    path.join(extensionDir, "index.md"),
+    renderTemplate(templates, "extension-methods-index", { categories: indexCategories })
+  );
+
+  return {
+    text: "🔌 IDbConnection Extensions",
+    link: `${baseUrl}/`,
+    collapsed: true,
+    items: sidebarItems,
+  };
+}
+
+// Base types every class, struct or enum has, left out of class diagrams
+const implicitBaseTypes = new Set(["System.Object", "System.ValueType", "System.Enum"]);
+
+// Property types drawn as one-to-many associations in class diagrams
+const collectionTypeNames = new Set([
+  "IEnumerable",
+  "ICollection",
+  "IList",
+  "IReadOnlyCollection",
+  "IReadOnlyList",
+  "List",
+  "HashSet",
+  "ISet",
+  "Collection",
+]);
+
+// Helper to find a documented type by short name, preferring the given namespace
+function findTargetByName(name, namespaceName) {
+  const sameNamespace = crefTargets.get(`${namespaceName}.${name}`);
+  if (sameNamespace) return sameNamespace;
+
+  for (const target of crefTargets.values()) {
+    if (target.type.name === name) return target;
+  }
+  return null;
+}
+
+// Helper to get the interfaces a type implements itself, leaving out those it
+// gets from a documented base class or through another listed interface
+function getDeclaredInterfaces(type) {
+  const interfaces = type.implementedInterfaces || [];
+  const inheritedUrls = new Set();
+
+  const visited = new Set();
+  let baseTarget = findInheritanceTarget(type.baseType);
+  while (baseTarget && !visited.has(baseTarget)) {
+    visited.add(baseTarget);
+    for (const iface of baseTarget.type.implementedInterfaces || []) {
+      inheritedUrls.add(iface.url);
+    }
+    baseTarget = findInheritanceTarget(baseTarget.type.baseType);
+  }
+
+  for (const iface of interfaces) {
+    const ifaceTarget = findInheritanceTarget(iface);
+    for (const parent of (ifaceTarget && ifaceTarget.type.implementedInterfaces) || []) {
+      inheritedUrls.add(parent.url);
+    }
+  }
+
+  return interfaces.filter((iface) => !inheritedUrls.has(iface.url));
+}
+
+// Helper to get the Mermaid annotation of a type (<<interface>>, <<abstract>>, ...)
+function getDiagramAnnotation(type) {
+  if (type.elementType === "Interface") return "interface";
+  if (type.elementType === "Enum") return "enumeration";
+  if (type.elementType === "Struct") return "struct";
+  if (type.payloadInfo && type.payloadInfo.isStatic) return "static";
+  if (type.payloadInfo && type.payloadInfo.isAbstract) return "abstract";
+  return null;
+}
+
+// Helper to add a type to a class diagram and return its Mermaid class id.
+// Ids are derived from the full name, since the same short name can be both
+// generic and non-generic (DatabaseMethodsBase, DatabaseMethodsBase`1).
+function addDiagramNode(diagram, fullName, displayName, annotation) {
+  const id = fullName.replace(/[^A-Za-z0-9_]/g, "_");
+  if (!diagram.nodes.has(id)) {
+    diagram.nodes.set(id, { displayName, annotation });
+  }
+  return id;
+}
+
+// Helper to add a documented type to a class diagram
+function addDiagramTarget(diagram, target) {
+  return addDiagramNode(
+    diagram,
+    target.fullName,
+    getTargetDisplayName(target),
+    getDiagramAnnotation(target.type)
+  );
+}
+
+// Helper to add a baseType or implementedInterfaces entry to a class diagram
+function addDiagramReference(diagram, reference) {
+  const target = findInheritanceTarget(reference);
+  if (target) return addDiagramTarget(diagram, target);
+
+  return addDiagramNode(
+    diagram,
+    getReferenceFullName(reference),
+    reference.displayName,
+    null
+  );
+}
+
+// Helper to get the Mermaid arrow from a base type or interface to a type
+function getInheritanceArrow(baseElementType, elementType) {
+  return baseElementType === "Interface" && elementType !== "Interface"
+    ? "<|.."
+    : "<|--";
+}
+
+// Helper to add a type's base class and declared interfaces to a class diagram
+function addInheritanceRelations(diagram, target) {
+  const id = addDiagramTarget(diagram, target);
+  const type = target.type;
+
+  if (
+    type.baseType &&
+    !implicitBaseTypes.has(getReferenceFullName(type.baseType))
+  ) {
+    diagram.relations.add(
+      `${addDiagramReference(diagram, type.baseType)} <|-- ${id}`
+    );
+  }
+
+  for (const iface of getDeclaredInterfaces(type)) {
+    diagram.relations.add(
+      `${addDiagramReference(diagram, iface)} ${getInheritanceArrow(
+        "Interface",
+        type.elementType
+      )} ${id}`
+    );
+  }
+}
+
+// Helper to add associations for properties typed as other documented types.
+// isIncluded decides which related types may be added to the diagram.
+function addAssociationRelations(diagram, target, isIncluded) {
+  for (const prop of target.type.properties || []) {
+    const typeStr = decodeTypeString(prop.returnType || prop.type || "");
+    const outerName = extractBaseTypeName(typeStr);
+    const isArray = /\[\]\??$/.test(typeStr);
+    const isCollection = isArray || collectionTypeNames.has(outerName);
+    const relatedNames =
+      isCollection && !isArray
+        ? extractGenericTypes(typeStr).filter((name) => name !== outerName)
+        : [outerName];
+
+    for (const name of relatedNames) {
+      const related = findTargetByName(name, target.namespaceName);
+      if (!related || related === target || !isIncluded(related)) continue;
+
+      diagram.relations.add(
+        `${addDiagramTarget(diagram, target)} --> ${
+          isCollection ? '"*" ' : ""
+        }${addDiagramTarget(diagram, related)} : ${prop.name}`
+      );
+    }
+  }
+}
+
+// Helper to render a class diagram as Mermaid source (without the code fence).
+// Only types that take part in a relation are drawn.
+function renderClassDiagram(diagram) {
+  const relations = [...diagram.relations];
+  const usedIds = new Set(
+    relations.flatMap((relation) => relation.match(/\b[A-Za-z0-9_]+\b/g))
+  );
+
+  let markdown = "classDiagram";
+  for (const [id, node] of diagram.nodes) {
+    if (!usedIds.has(id)) continue;
+
+    const label = node.displayName
+      .replace(/"/g, "#quot;")
+      .replace(/</g, "#lt;")
+      .replace(/>/g, "#gt;");
+    markdown += `\n  class ${id}["${label}"]`;
+    if (node.annotation) {
+      markdown += `\n  <<${node.annotation}>> ${id}`;
+    }
+  }
+  for (const relation of relations) {
+    markdown += `\n  ${relation}`;
+  }
+
+  return markdown;
+}
+
+// Get the class diagram of a type page: its base class chain, interfaces,
+// direct subtypes or implementations, and associated documented types.
+// Returns null when there is nothing to draw.
+function getTypeDiagram(target) {
+  if (target.type.elementType === "Enum") return null;
+
+  const diagram = { nodes: new Map(), relations: new Set() };
+
+  const visited = new Set();
+  let current = target;
+  while (current && !visited.has(current)) {
+    visited.add(current);
+    addInheritanceRelations(diagram, current);
+    current = findInheritanceTarget(current.type.baseType);
+  }
+
+  for (const other of crefTargets.values()) {
+    if (other === target) continue;
+
+    const isSubtype =
+      findInheritanceTarget(other.type.baseType) === target ||
+      getDeclaredInterfaces(other.type).some(
+        (iface) => findInheritanceTarget(iface) === target
+      );
+    if (isSubtype) {
+      diagram.relations.add(
+        `${addDiagramTarget(diagram, target)} ${getInheritanceArrow(
+          target.type.elementType,
+          other.type.elementType
+        )} ${addDiagramTarget(diagram, other)}`
+      );
+    }
+  }
+
+  addAssociationRelations(diagram, target, () => true);
+
+  if (diagram.relations.size === 0) return null;
+  return renderClassDiagram(diagram);
+}
+
+// Get the overview class diagram of a namespace page, covering the
+// inheritance and associations of its public types, or null
+function getNamespaceDiagram(namespace) {
+  const namespaceName = namespace.self.displayName;
+  const diagram = { nodes: new Map(), relations: new Set() };
+
+  for (const type of namespace.types) {
+    const target = crefTargets.get(`${namespaceName}.${type.name}`);
+    if (!target || target.type !== type || type.elementType === "Enum") continue;
+
+    addInheritanceRelations(diagram, target);
+    addAssociationRelations(
+      diagram,
+      target,
+      (related) => related.namespaceName === namespaceName
+    );
+  }
+
+  if (diagram.relations.size === 0) return null;
+  return renderClassDiagram(diagram);
+}
+
+// Helper to write the configured outline levels as frontmatter, so the
+// right-hand outline lists the members under their kind (Methods, Properties, ...)
+function getOutlineFrontmatter() {
+  return docsConfig.outline ? JSON.stringify(docsConfig.outline) : null;
+}
+
+// Get the method groups of a type or extension method page for a template.
+// A method without overloads is the group's single method; overloads get their
+// own heading, labelled with their parameters from firstParameter on, and
+// section headings one level deeper. getOptions returns the getMethodView
+// options of a method.
+function getMethodGroupsView(
+  methods,
+  headingLevel,
+  assemblyName,
+  documentedTypes,
+  getOptions,
+  firstParameter = 0
+) {
+  const memberAnchors = getMemberAnchors({ methods });
+  return groupOverloads(methods).map((group) => {
+    const isSingle = group.overloads.length === 1;
+    return {
+      name: escapeAngleBrackets(group.name),
+      anchor: getMemberAnchor(group.name),
+      single: isSingle
+        ? getMethodView(
+            group.overloads[0],
+            headingLevel,
+            assemblyName,
+            documentedTypes,
+            getOptions(group.overloads[0])
+          )
+        : null,
+      overloads: isSingle
+        ? []
+        : group.overloads.map((method) => ({
+            ...getMethodView(
+              method,
+              headingLevel + 1,
+              assemblyName,
+              documentedTypes,
+              getOptions(method)
+            ),
+            title: escapeAngleBrackets(
+              formatOverloadLabel(group.name, method, firstParameter)
+            ),
+            anchor: memberAnchors.get(method),
+          })),
+    };
+  });
+}
+
+// Get a property or field for the property partial
+function getPropertyView(member, relation, assemblyName, documentedTypes) {
+  const memberType = getReturnType(member) || member.type || "object";
+  return {
+    ...getDocSectionsView(member, 4),
+    ...getAttributesView(member.commentId),
+    badges: getMemberBadges(member),
+    name: member.name,
+    anchor: getMemberAnchor(member.name),
+    summary: member.summary ? formatDocumentation(member.summary) : null,
+    relation: formatMemberRelation(member, relation),
+    type: formatTypeWithLinks(memberType, documentedTypes, assemblyName),
+    source: getSourceLink(member.commentId),
+  };
+}
+
+// Helper to link a base class or interface if it is documented, e.g.
+// "[DmTable](/api/next/mjczone.dappermatic/mjczone.dappermatic.models/dmtable)"
+function formatInheritanceLink(reference, assemblyName, documentedTypes) {
+  // Extract just the type name for the generic lookup
+  const typeNameOnly = sanitizeInheritanceUrl(reference.url).split("/").pop();
+  const foundTypeKey = findDocumentedTypeKey(typeNameOnly, documentedTypes);
+  const displayName = escapeAngleBrackets(reference.displayName);
+  if (!foundTypeKey) return displayName;
+  return `[${displayName}](${apiBaseUrl}/${sanitizeUrlName(
+    assemblyName
+  )}/${foundTypeKey})`;
+}
+
+// Generate markdown for a type (class, interface, enum, etc.) from the
+// <kind>.md template, falling back to type.md
+function generateTypeMarkdown(
+  type,
+  namespaceName,
+  assemblyName,
+  documentedTypes = new Set()
+) {
+  const assemblyUrl = `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}`;
+  const interfaces = type.implementedInterfaces || [];
+
+  // Type info badges
+  const badges = [];
+  if (type.payloadInfo) {
+    if (type.payloadInfo.isStatic) badges.push("static");
+    if (type.payloadInfo.isAbstract) badges.push("abstract");
+    if (type.payloadInfo.isSealed) badges.push("sealed");
+    if (type.payloadInfo.accessLevel)
+      badges.push(type.payloadInfo.accessLevel.toLowerCase());
+  }
+  const typeCommentId = type.commentId || `T:${namespaceName}.${type.name}`;
+  badges.push(...getStatusBadges(typeCommentId));
+
+  const notes = [];
+  // Note about inheritance - since the JSON doesn't include this info
+  if (
+    type.elementType === "Class" &&
+    type.payloadInfo &&
+    type.payloadInfo.isAbstract
+  ) {
+    notes.push(
+      "This is an abstract base class. Concrete implementations can be found in provider-specific namespaces."
+    );
+  }
+
+  // For interfaces, note that they define contracts
+  if (type.elementType === "Interface") {
+    notes.push(
+      "This is an interface that defines a contract. Look for implementing classes in the same or related namespaces."
+    );
+  }
+
+  // Members inherited from documented base classes and interfaces
+  const inherited = getInheritedMembers(type);
+  const inheritedCount = inherited.sections.reduce(
+    (count, section) => count + section.members.length,
+    0
+  );
+
+  // Skip the internal value__ member; the value might be explicitly set, or
+  // we infer it from position (0, 1, 2, etc.)
+  let enumValueIndex = 0;
+  const enumMembers =
+    type.elementType === "Enum" && type.enumMembers
+      ? type.enumMembers
+          .filter((enumMember) => enumMember.name !== "value__")
+          .map((enumMember) => ({
+            name: enumMember.name,
+            value:
+              enumMember.value !== undefined && enumMember.value !== ""
+                ? enumMember.value
+                : enumValueIndex++,
+            description: formatTableText(enumMember.summary || ""),
+          }))
+      : [];
+
+  // Table of contents for types with many members
+  const contents = [
+    { title: "Constructors", count: (type.constructors || []).length },
+    { title: "Methods", count: (type.methods || []).length },
+    { title: "Properties", count: (type.properties || []).length },
+    { title: "Fields", count: (type.fields || []).length },
+    { title: "Enum Members", count: enumMembers.length },
+    { title: "Inherited Members", count: inheritedCount },
+  ]
+    .filter((section) => section.count > 0)
+    .map((section) => ({ ...section, anchor: getMemberAnchor(section.title) }));
+
+  // Constructors (each overload gets its own heading and anchor)
+  const memberAnchors = getMemberAnchors(type);
+  const constructorName = type.name.replace(/`\d+$/, "");
+  const constructors = (type.constructors || []).map((ctor) => ({
+    // Create a method-like object for the constructor to use getMethodSignature
+    ...getMethodView(
+      {
+        ...ctor,
+        title: constructorName,
+        name: constructorName,
+        returnType: "", // Constructors don't have return types
+        parameters: ctor.parameters || [],
+      },
+      4,
+      assemblyName,
+      documentedTypes
+    ),
+    title: escapeAngleBrackets(
+      type.constructors.length > 1
+        ? formatOverloadLabel(constructorName, ctor)
+        : constructorName
+    ),
+    anchor: memberAnchors.get(ctor),
+  }));
+
+  // Add a quick reference table for methods, linking each overload
+  const quickReference = [];
+  if (type.methods && type.methods.length > 5) {
+    for (const group of groupOverloads(type.methods)) {
+      for (const method of group.overloads) {
+        const label =
+          group.overloads.length > 1
+            ? formatOverloadLabel(group.name, method)
+            : group.name;
+        quickReference.push({
+          label: formatObsoleteLabel(escapeAngleBrackets(label), method.commentId),
+          anchor: memberAnchors.get(method),
+          summary: method.summary
+            ? formatTableText(method.summary).substring(0, 100) +
+              (method.summary.length > 100 ? "..." : "")
+            : "",
+        });
+      }
+    }
+  }
+
+  const typeTarget = crefTargets.get(`${namespaceName}.${type.name}`);
+  const arityMatch = type.name.match(/`(\d+)$/);
+  const hasExtensionMethods = (type.methods || []).some((method) =>
+    isConnectionExtensionMethod(method, type)
+  );
+
+  const view = {
+    ...getDocSectionsView(type, 2),
+    ...getAttributesView(typeCommentId),
+    outline: getOutlineFrontmatter(),
+    name: escapeAngleBrackets(getTypeDisplayName(type, namespaceName)),
+    elementType: type.elementType,
+    namespace: {
+      name: namespaceName,
+      url: `${assemblyUrl}/${sanitizeUrlName(namespaceName)}`,
+    },
+    assembly: { name: assemblyName, url: assemblyUrl },
+    source: getSourceLink(typeCommentId),
+    summary: type.summary ? formatDocumentation(type.summary) : null,
+    typeParameters: getTypeParametersView(
+      type,
+      typeCommentId,
+      arityMatch ? parseInt(arityMatch[1], 10) : 0
+    ),
+    extensionMethodsUrl: hasExtensionMethods
+      ? `${assemblyUrl}/extension-methods/`
+      : null,
+    inheritance:
+      type.baseType || interfaces.length > 0
+        ? {
+            baseType: type.baseType
+              ? formatInheritanceLink(type.baseType, assemblyName, documentedTypes)
+              : null,
+            interfaces: interfaces.map((iface) =>
+              formatInheritanceLink(iface, assemblyName, documentedTypes)
+            ),
+          }
+        : null,
+    diagram: typeTarget ? getTypeDiagram(typeTarget) : null,
+    badges: markLast(badges.map((name) => ({ name }))),
+    notes,
+    contents: markLast(contents),
+    constructors,
+    quickReference,
+    methodGroups: getMethodGroupsView(
+      type.methods,
+      4,
+      assemblyName,
+      documentedTypes,
+      (method) => ({ relation: inherited.relations.get(method) })
+    ),
+    properties: (type.properties || []).map((prop) =>
+      getPropertyView(prop, inherited.relations.get(prop), assemblyName, documentedTypes)
+    ),
+    fields: (type.fields || []).map((field) =>
+      getPropertyView(field, inherited.relations.get(field), assemblyName, documentedTypes)
+    ),
+    inherited: getInheritedMembersView(inherited.sections),
+    enumMembers,
+  };
+
+  return renderTemplate(
+    templates,
+    [(type.elementType || "").toLowerCase(), "type"],
+    view
+  );
+}
+
+// Helper to get the plain text of a doc comment, e.g. for the search index
+function getPlainText(text) {
+  if (!text) return "";
+  return getXmlDocNodeText(parseXmlDocNodes(text)).replace(/\s+/g, " ").trim();
+}
+
+// Get the search index entries of a type and the members it declares. Members
+// link to their anchor on the type page, so a result jumps straight to the
+// member instead of the top of a long page.
+function getSearchEntries(type, namespaceName, assemblyName) {
+  const typeUrl = `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}/${sanitizeUrlName(
+    namespaceName
+  )}/${sanitizeUrlName(type.name)}`;
+  const typeName = getTypeDisplayName(type, namespaceName);
+  const memberAnchors = getMemberAnchors(type);
+
+  function createEntry(name, title, kind, url, element, commentId) {
+    const summary = getPlainText(element.summary);
+    return {
+      name,
+      title,
+      kind,
+      assembly: assemblyName,
+      namespace: namespaceName,
+      url,
+      summary: summary.length > 200 ? `${summary.slice(0, 197)}...` : summary,
+      parameters: (element.parameters || []).map((param) => param.name),
+      commentId: commentId || "",
+      ...(getApiAttributes(commentId).obsolete ? { obsolete: true } : {}),
+    };
+  }
+
+  const constructorName = type.name.replace(/`\d+$/, "");
+  const entries = [
+    createEntry(
+      typeName,
+      `${namespaceName}.${typeName}`,
+      type.elementType,
+      typeUrl,
+      type,
+      type.commentId || `T:${namespaceName}.${type.name}`
+    ),
+    ...(type.constructors || []).map((ctor) =>
+      createEntry(
+        constructorName,
+        `${typeName}.${formatOverloadLabel(constructorName, ctor)}`,
+        "Constructor",
+        `${typeUrl}#${memberAnchors.get(ctor)}`,
+        ctor,
+        ctor.commentId
+      )
+    ),
+    ...(type.methods || []).map((method) =>
+      createEntry(
+        method.name,
+        `${typeName}.${formatOverloadLabel(method.name, method)}`,
+        "Method",
+        `${typeUrl}#${memberAnchors.get(method)}`,
+        method,
+        method.commentId
+      )
+    ),
+    ...[
+      ...(type.properties || []).map((member) => ({ member, kind: "Property" })),
+      ...(type.fields || []).map((member) => ({ member, kind: "Field" })),
+    ].map(({ member, kind }) =>
+      createEntry(
+        member.name,
+        `${typeName}.${member.name}`,
+        kind,
+        `${typeUrl}#${getMemberAnchor(member.name)}`,
+        member,
+        member.commentId
+      )
+    ),
+  ];
+
+  // Enum values are listed in a table without anchors of their own
+  if (type.elementType === "Enum") {
+    for (const enumMember of type.enumMembers || []) {
+      if (enumMember.name === "value__") continue;
+      entries.push(
+        createEntry(
+          enumMember.name,
+          `${typeName}.${enumMember.name}`,
+          "Enum Member",
+          `${typeUrl}#${getMemberAnchor("Enum Members")}`,
+          enumMember,
+          enumMember.commentId
+        )
+      );
+    }
+  }
+
+  return entries;
+}
+
+// Group the public types of a namespace by kind, sorted by name, as listed on
+// the namespace page and in the sidebar: [{ name: "Classes", types }, ...]
+function groupTypesByCategory(namespace) {
+  const typesByCategory = {
+    Classes: [],
+    Interfaces: [],
+    Structs: [],
+    Records: [],
+    Enums: [],
+    Delegates: [],
+  };
+
+  // Sort types by category
+  for (const type of namespace.types) {
+    if (type.payloadInfo.accessLevel !== "Public") continue;
+
+    switch (type.elementType) {
+      case "Class":
+        typesByCategory.Classes.push(type);
+        break;
+      case "Interface":
+        typesByCategory.Interfaces.push(type);
+        break;
+      case "Struct":
+        typesByCategory.Structs.push(type);
+        break;
+      case "Record":
+        typesByCategory.Records.push(type);
+        break;
+      case "Enum":
+        typesByCategory.Enums.push(type);
+        break;
+      case "Delegate":
+        typesByCategory.Delegates.push(type);
+        break;
+    }
+  }
+
+  return Object.entries(typesByCategory)
+    .filter(([, types]) => types.length > 0)
+    .map(([category, types]) => ({
+      name: category,
+      types: types.sort((a, b) => a.name.localeCompare(b.name)),
+    }));
+}
+
+// Singular names of the type categories, for counts such as "1 class, 3 enums"
+const categorySingulars = {
+  Classes: "class",
+  Interfaces: "interface",
+  Structs: "struct",
+  Records: "record",
+  Enums: "enum",
+  Delegates: "delegate",
+};
+
+// Helper to describe the public types of a namespace by kind, e.g. "4 classes, 1 enum"
+function formatTypeCounts(categories) {
+  return categories
+    .map(({ name, types }) =>
+      `${types.length} ${types.length === 1 ? categorySingulars[name] : name.toLowerCase()}`
+    )
+    .join(", ");
+}
+
+// Helper to get the keys of the documented types a type name refers to, e.g.
+// "Task<List<DmTable>>" -> ["mjczone.dappermatic.models/dmtable"]
+function getReferencedTypeKeys(typeName, documentedTypes) {
+  if (!typeName) return [];
+  const text = decodeTypeString(typeName);
+  const keys = [];
+  for (const match of text.matchAll(/[A-Za-z_][\w.]*/g)) {
+    const name = match[0].split(".").pop();
+    const arity = getGenericArity(text, match.index + match[0].length);
+    const typeKey =
+      !isPrimitiveType(name) && findDocumentedTypeKey(name, documentedTypes, arity);
+    if (typeKey) keys.push(typeKey);
+  }
+  return keys;
+}
+
+// Helper to count how many other public types use each documented type, as
+// their base type or interface or in the return and parameter types of their
+// members. The most used types of a namespace are its highlights.
+function countTypeReferences(packages, documentedTypes) {
+  const counts = new Map();
+  for (const { apiData } of packages) {
+    for (const namespace of apiData.data) {
+      for (const type of namespace.types) {
+        if (type.payloadInfo.accessLevel !== "Public") continue;
+
+        const keys = new Set();
+        for (const reference of [type.baseType, ...(type.implementedInterfaces || [])]) {
+          const target = findInheritanceTarget(reference);
+          if (target) {
+            keys.add(
+              `${sanitizeUrlName(target.namespaceName)}/${sanitizeUrlName(target.type.name)}`
+            );
+          }
+        }
+        for (const kind of ["constructors", "methods", "properties", "fields"]) {
+          for (const member of type[kind] || []) {
+            for (const typeName of [getReturnType(member), ...getParameterTypes(member)]) {
+              getReferencedTypeKeys(typeName, documentedTypes).forEach((key) => keys.add(key));
+            }
+          }
+        }
+
+        keys.delete(
+          `${sanitizeUrlName(namespace.self.displayName)}/${sanitizeUrlName(type.name)}`
+        );
+        for (const key of keys) {
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }
+      }
+    }
+  }
+  return counts;
+}
+
+// Helper to get the summary of a namespace: the one in the docs config, else
+// the <summary> of its NamespaceDoc class
+function getNamespaceSummary(namespace) {
+  const configured = docsConfig.namespaces[namespace.self.displayName];
+  if (configured && configured.summary) return configured.summary;
+  return namespace.summary ? formatDocumentation(namespace.summary) : null;
+}
+
+// Helper to pick the types a namespace page and its assembly page highlight:
+// the ones named in the docs config, else the three types the other public
+// types use most, for namespaces with more than five types
+function getNamespaceHighlights(namespace, referenceCounts) {
+  const namespaceName = namespace.self.displayName;
+  const types = namespace.types.filter(
+    (type) => type.payloadInfo.accessLevel === "Public"
+  );
+  const getKey = (type) =>
+    `${sanitizeUrlName(namespaceName)}/${sanitizeUrlName(type.name)}`;
+
+  const configured = docsConfig.namespaces[namespaceName];
+  if (configured && configured.highlights) {
+    return configured.highlights
+      .map((name) => {
+        const type = types.find(
+          (candidate) =>
+            candidate.name === name || getTypeDisplayName(candidate, namespaceName) === name
+        );
+        if (!type) {
+          console.warn(`⚠️  ${docsConfigPath}: highlighted type ${name} is not a public type of ${namespaceName}`);
+        }
+        return type;
+      })
+      .filter(Boolean);
+  }
+
+  if (types.length <= 5) return [];
+  return types
+    .filter((type) => referenceCounts.get(getKey(type)) > 0)
+    .sort(
+      (a, b) =>
+        referenceCounts.get(getKey(b)) - referenceCounts.get(getKey(a)) ||
+        a.name.localeCompare(b.name)
+    )
+    .slice(0, 3);
+}
+
+// Helper to get the highlights of a namespace as { name, url, summary } links
+function getHighlightsView(namespace, namespaceUrl, referenceCounts) {
+  const namespaceName = namespace.self.displayName;
+  return getNamespaceHighlights(namespace, referenceCounts).map((type) => ({
+    name: escapeAngleBrackets(getTypeDisplayName(type, namespaceName)),
+    url: `${namespaceUrl}/${sanitizeUrlName(type.name)}`,
+    summary: formatTableText(type.summary || "") || null,
+    namespace: namespaceName,
+  }));
+}
+
+// Generate markdown for a namespace from the namespace.md template
+function generateNamespaceMarkdown(namespace, assemblyName, referenceCounts) {
+  const assemblyUrl = `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}`;
+  const namespaceUrl = `${assemblyUrl}/${sanitizeUrlName(namespace.self.displayName)}`;
+  const groups = groupTypesByCategory(namespace);
+
+  const categories = groups.map((category) => ({
+    name: category.name,
+    types: category.types.map((type) => ({
+      name: formatObsoleteLabel(
+        escapeAngleBrackets(getTypeDisplayName(type, namespace.self.displayName)),
+        type.commentId || `T:${namespace.self.displayName}.${type.name}`
+      ),
+      url: `${namespaceUrl}/${sanitizeUrlName(type.name)}`,
+      summary: formatTableText(type.summary || ""),
+    })),
+  }));
+
+  return renderTemplate(templates, "namespace", {
+    name: namespace.self.displayName,
+    assembly: { name: assemblyName, url: assemblyUrl },
+    summary: getNamespaceSummary(namespace),
+    typeCounts: formatTypeCounts(groups) || null,
+    highlights: getHighlightsView(namespace, namespaceUrl, referenceCounts),
+    categories,
+    diagram: getNamespaceDiagram(namespace),
+  });
+}
+
+// Helper to read an MSBuild file without its <!-- comments -->
+function readMsBuildFile(filePath) {
+  return fs.readFileSync(filePath, "utf-8").replace(/<!--[\s\S]*?-->/g, "");
+}
+
+// Helper to get an unconditional property of an MSBuild file (the last one
+// wins, as in MSBuild), or null
+function getMsBuildProperty(xml, name) {
+  const unconditional = xml.replace(
+    /<PropertyGroup\s[^>]*\bCondition=[^>]*>[\s\S]*?<\/PropertyGroup>/g,
+    ""
+  );
+  const values = [
+    ...unconditional.matchAll(new RegExp(`<${name}>([^<]*)</${name}>`, "g")),
+  ];
+  return values.length > 0 ? values[values.length - 1][1].trim() : null;
+}
+
+// Helper to get an attribute or child element of an item such as
+// <PackageReference Include="Dapper" Version="2.1.35" />
+function getMsBuildMetadata(attributes, body, name) {
+  const attribute = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  if (attribute) return attribute[1];
+  const element = (body || "").match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return element ? element[1].trim() : null;
+}
+
+// Helper to list the packages and projects an MSBuild file references
+// unconditionally. Analyzers and other references with PrivateAssets="all"
+// are not dependencies of the package, and references that only apply to
+// some target frameworks are left out.
+function getMsBuildReferences(xml) {
+  const references = [];
+  for (const group of xml.matchAll(/<ItemGroup(\s[^>]*)?>([\s\S]*?)<\/ItemGroup>/g)) {
+    if (/\bCondition=/.test(group[1] || "")) continue;
+
+    const items = group[2].matchAll(
+      /<(PackageReference|ProjectReference)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g
+    );
+    for (const [, kind, attributes, body] of items) {
+      const include = getMsBuildMetadata(attributes, body, "Include");
+      if (
+        !include ||
+        /\bCondition=/.test(attributes) ||
+        getMsBuildMetadata(attributes, body, "PrivateAssets") === "all"
+      ) {
+        continue;
+      }
+      references.push(
+        kind === "ProjectReference"
+          ? { name: path.basename(include.replace(/\\/g, "/"), ".csproj"), project: true }
+          : { name: include, version: getMsBuildMetadata(attributes, body, "Version") }
+      );
+    }
+  }
+  return references;
+}
+
+// Read the package details of an assembly from its project file,
+// <projectsDir>/<Assembly>/<Assembly>.csproj, and the nearest
+// Directory.Build.props above it. Returns null when there is no project file.
+function readProjectInfo(assemblyName) {
+  const projectPath = path.join(
+    path.resolve(settings.projectsDir),
+    assemblyName,
+    `${assemblyName}.csproj`
+  );
+  if (!fs.existsSync(projectPath)) return null;
+
+  const project = readMsBuildFile(projectPath);
+  let props = "";
+  for (let dir = path.dirname(projectPath); ; dir = path.dirname(dir)) {
+    const propsPath = path.join(dir, "Directory.Build.props");
+    if (fs.existsSync(propsPath)) {
+      props = readMsBuildFile(propsPath);
+      break;
+    }
+    if (dir === path.dirname(dir)) break;
+  }
+
+  const getProperty = (name) =>
+    getMsBuildProperty(project, name) ?? getMsBuildProperty(props, name);
+  const targetFrameworks = (
+    getProperty("TargetFrameworks") ||
+    getProperty("TargetFramework") ||
+    ""
+  )
+    .split(";")
+    .map((framework) => framework.trim())
+    .filter(Boolean);
+
+  return {
+    packageId: getProperty("PackageId") || assemblyName,
+    isPackable: getProperty("IsPackable") !== "false",
+    summary: getProperty("Summary"),
+    description: getProperty("Description"),
+    targetFrameworks,
+    dependencies: [...getMsBuildReferences(props), ...getMsBuildReferences(project)],
+  };
+}
+
+// Helper to get the one-line description of an assembly for the API index
+function getAssemblySummary(apiData, project) {
+  return (
+    apiData.description ||
+    project?.summary ||
+    project?.description ||
+    "No description available"
+  );
+}
+
+// Generate markdown for an assembly from the assembly.md template
+function generateAssemblyMarkdown(
+  assemblyName,
+  apiData,
+  hasExtensionMethods,
+  project,
+  referenceCounts,
+  documentedAssemblies
+) {
+  const assemblyUrl = `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}`;
+  // Unreleased versions have no package version to pin
+  const packageVersion = /^\d/.test(apiVersion) ? apiVersion : null;
+
+  const namespaces = apiData.data.map((namespace) => {
+    const url = `${assemblyUrl}/${sanitizeUrlName(namespace.self.displayName)}`;
+    const summary = getNamespaceSummary(namespace);
+    return {
+      name: namespace.self.displayName,
+      url,
+      summary: summary ? summary.replace(/\s+/g, " ").trim() : "",
+      typeCounts: formatTypeCounts(groupTypesByCategory(namespace)),
+      highlights: getHighlightsView(namespace, url, referenceCounts),
+    };
+  });
+
+  return renderTemplate(templates, "assembly", {
+    name: assemblyName,
+    description: apiData.description || project?.description || null,
+    extensionMethodsUrl: hasExtensionMethods
+      ? `${assemblyUrl}/extension-methods/`
+      : null,
+    package:
+      project && project.isPackable
+        ? { id: project.packageId, version: packageVersion }
+        : null,
+    targetFrameworks: markLast(
+      (project?.targetFrameworks || []).map((framework) => ({ name: framework }))
+    ),
+    dependencies: (project?.dependencies || []).map((dependency) => ({
+      name: dependency.name,
+      url: documentedAssemblies.has(dependency.name)
+        ? `${apiBaseUrl}/${sanitizeUrlName(dependency.name)}/`
+        : `https://www.nuget.org/packages/${dependency.name}`,
+      version: dependency.project
+        ? packageVersion
+          ? toInlineCode(packageVersion)
+          : "Same version"
+        : dependency.version
+        ? toInlineCode(dependency.version)
+        : "Any version",
+    })),
+    namespaces,
+    highlights: namespaces.flatMap((namespace) => namespace.highlights),
+  });
+}
+
+// Load the Akov NetDocsProcessor JSON files written by the Can_generate_docs test.
+// Akov does not export remarks, examples, exceptions or provider notes, so these
+// are merged in from the XML documentation file the test copies alongside each
+// JSON file. Every file is validated against akov-package.schema.json first.
+// assemblyNames limits the files that are read, as watch mode does.
+function loadJsonPackages(directory, assemblyNames = null) {
+  const errors = [];
+  const packages = fs
+    .readdirSync(directory)
+    .filter(
+      (file) =>
+        file.endsWith(".json") &&
+        !/\.(sources|generics|attributes)\.json$/.test(file) &&
+        (!assemblyNames || assemblyNames.has(path.basename(file, ".json")))
+    )
+    .map((file) => {
+      const assemblyName = path.basename(file, ".json");
+      const filePath = path.join(directory, file);
+      const displayPath = path.relative(path.join(__dirname, ".."), filePath);
+
+      let apiData;
+      try {
+        apiData = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      } catch (error) {
+        errors.push(`${displayPath}: ${error.message}`);
+        return null;
+      }
+
+      const validation = validatePackage(apiData, displayPath, {
+        strict: settings.strict,
+      });
+      for (const warning of validation.warnings) {
+        console.warn(`⚠️  ${warning}`);
+      }
+      if (validation.errors.length > 0) {
+        errors.push(...validation.errors);
+        return null;
+      }
+
+      const xmlPath = path.join(directory, `${assemblyName}.xml`);
+      if (fs.existsSync(xmlPath)) {
+        mergeXmlDocs(apiData, fs.readFileSync(xmlPath, "utf-8"));
+      }
+
+      const sourceMapPath = path.join(directory, `${assemblyName}.sources.json`);
+      if (fs.existsSync(sourceMapPath)) {
+        loadSourceMap(sourceMapPath);
+      }
+
+      const genericsMapPath = path.join(directory, `${assemblyName}.generics.json`);
+      if (fs.existsSync(genericsMapPath)) {
+        loadGenericsMap(genericsMapPath);
+      }
+
+      const attributesMapPath = path.join(directory, `${assemblyName}.attributes.json`);
+      if (fs.existsSync(attributesMapPath)) {
+        loadAttributesMap(attributesMapPath);
+      }
+
+      return { assemblyName, apiData };
+    });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `The packages JSON does not match scripts/akov-package.schema.json (${
+        errors.length
+      } error(s)):\n${errors.map((error) => `  - ${error}`).join("\n")}`
+    );
+  }
+
+  return packages;
+}
+
+// Take the NamespaceDoc class out of each namespace's types. By convention
+// its <summary> documents the namespace, so it gets no page of its own.
+function extractNamespaceDocs(packages) {
+  for (const { apiData } of packages) {
+    for (const namespace of apiData.data) {
+      const namespaceDoc = namespace.types.find((type) => type.name === "NamespaceDoc");
+      if (namespaceDoc) {
+        namespace.summary = namespaceDoc.summary || null;
+        namespace.types = namespace.types.filter((type) => type !== namespaceDoc);
+      }
+    }
+  }
+}
+
+// Helper to load the packages selected by the settings
+function loadPackages() {
+  sourceLocations.clear();
+  typeParameterInfo.clear();
+  apiAttributes.clear();
+  const packages = settings.xml
+    ? readXmlDocs(settings.xml)
+    : loadJsonPackages(packagesDir);
+
+  for (const file of settings.sourceMaps) {
+    loadSourceMap(file);
+  }
+  for (const file of settings.genericsMaps) {
+    loadGenericsMap(file);
+  }
+  for (const file of settings.attributesMaps) {
+    loadAttributesMap(file);
+  }
+
+  extractNamespaceDocs(packages);
+  return packages;
+}
+
+// Read the files watch mode saw change again: the packages of the assemblies
+// they belong to, or the changed --xml files and maps. The other packages are
+// kept as they were loaded. Returns the updated list of packages.
+function reloadPackages(packages, changedFiles) {
+  let reloaded;
+  let assemblyNames;
+  if (settings.xml) {
+    const resolve = (files) => files.map((file) => path.resolve(file));
+    const mapLoaders = [
+      [settings.sourceMaps, loadSourceMap],
+      [settings.genericsMaps, loadGenericsMap],
+      [settings.attributesMaps, loadAttributesMap],
+    ];
+    for (const [files, loadMap] of mapLoaders) {
+      resolve(files)
+        .filter((file) => changedFiles.includes(file))
+        .forEach(loadMap);
+    }
+    reloaded = readXmlDocs(resolve(settings.xml).filter((file) => changedFiles.includes(file)));
+    assemblyNames = new Set(reloaded.map((p) => p.assemblyName));
+  } else {
+    // MJCZone.DapperMatic.json, .xml, .sources.json, ... -> MJCZone.DapperMatic
+    assemblyNames = new Set(
+      changedFiles.map((file) =>
+        path.basename(file).replace(/(\.(sources|generics|attributes))?\.(json|xml)$/, "")
+      )
+    );
+    reloaded = loadJsonPackages(packagesDir, assemblyNames);
+  }
+  extractNamespaceDocs(reloaded);
+
+  // Keep the order of the packages, which decides the order of cref lookups;
+  // a package whose JSON file is gone is dropped
+  const reloadedByName = new Map(reloaded.map((p) => [p.assemblyName, p]));
+  const updated = packages
+    .filter((p) => reloadedByName.has(p.assemblyName) || !assemblyNames.has(p.assemblyName))
+    .map((p) => reloadedByName.get(p.assemblyName) || p);
+  for (const p of reloaded) {
+    if (!packages.some((other) => other.assemblyName === p.assemblyName)) {
+      updated.push(p);
+    }
+  }
+  return updated;
+}
+
+// Type pages are the bulk of a run, so watch mode only renders those of the
+// types whose documentation changed. Each public type is fingerprinted twice,
+// by "namespace/type" key: its shape (kind, type parameters, inheritance and
+// member signatures), which the links, diagrams and inherited members of other
+// pages depend on, and its content (the whole type with its source map and
+// attributes entries).
+function getTypeFingerprints(packages) {
+  const fingerprints = new Map();
+  for (const { apiData } of packages) {
+    for (const namespace of apiData.data) {
+      const namespaceName = namespace.self.displayName;
+      for (const type of namespace.types) {
+        if (type.payloadInfo.accessLevel !== "Public") continue;
+
+        const commentId = type.commentId || `T:${namespaceName}.${type.name}`;
+        const members = ["constructors", "methods", "properties", "fields", "events", "enumMembers"]
+          .flatMap((kind) => (type[kind] || []).map((member) => ({ kind, member })));
+        const shape = [
+          type.name,
+          type.elementType,
+          type.typeParameters,
+          typeParameterInfo.get(commentId),
+          type.baseType && type.baseType.url,
+          (type.implementedInterfaces || []).map((iface) => iface.url),
+          members.map(({ kind, member }) => [
+            kind,
+            member.commentId || member.name,
+            getReturnType(member),
+            typeParameterInfo.get(member.commentId),
+          ]),
+        ];
+        const sidecars = [commentId, ...members.map(({ member }) => member.commentId)].map(
+          (id) => [sourceLocations.get(id), apiAttributes.get(id)]
+        );
+
+        fingerprints.set(`${sanitizeUrlName(namespaceName)}/${sanitizeUrlName(type.name)}`, {
+          shape: hashContent(JSON.stringify(shape)),
+          content: hashContent(JSON.stringify([type, sidecars])),
+        });
+      }
+    }
+  }
+  return fingerprints;
+}
+
+// Helper to compare the type fingerprints of two runs. Returns the keys of the
+// types whose content changed, or null when a type was added or removed or
+// changed shape, which can change any page.
+function getChangedTypeKeys(previous, next) {
+  if (previous.size !== next.size) return null;
+
+  const changed = new Set();
+  for (const [key, fingerprint] of next) {
+    const previousFingerprint = previous.get(key);
+    if (!previousFingerprint || previousFingerprint.shape !== fingerprint.shape) {
+      return null;
+    }
+    if (previousFingerprint.content !== fingerprint.content) {
+      changed.add(key);
+    }
+  }
+  return changed;
+}
+
+// Helper to check the documentation of a type and its members. Each summary,
+// parameter description and returns text counts as one check.
+function getTypeCoverage(type) {
+  const coverage = { total: 0, documented: 0, missing: [] };
+
+  function checkElement(name, checks) {
+    const gaps = [];
+    for (const [label, text] of checks) {
+      coverage.total++;
+      if (text && text.trim()) {
+        coverage.documented++;
+      } else {
+        gaps.push(label);
+      }
+    }
+    if (gaps.length > 0) {
+      coverage.missing.push({ member: name, missing: gaps });
+    }
+  }
+
+  checkElement(type.name, [["summary", type.summary]]);
+
+  const callables = [
+    ...(type.constructors || []).map((ctor) => ({
+      name: formatOverloadLabel(type.name, ctor),
+      member: ctor,
+    })),
+    ...(type.methods || []).map((method) => ({
+      name: `${type.name}.${formatOverloadLabel(method.title || method.name, method)}`,
+      member: method,
+    })),
+  ];
+  for (const { name, member } of callables) {
+    const checks = [["summary", member.summary]];
+
+    // Undocumented parameters may be missing from the list altogether
+    const parameters = member.parameters || [];
+    const parameterCount = Math.max(
+      parameters.length,
+      splitCommentIdParameters(member.commentId).length
+    );
+    for (let i = 0; i < parameterCount; i++) {
+      const param = parameters[i];
+      checks.push([
+        param ? `param ${param.name}` : `param ${i + 1}`,
+        param && param.text,
+      ]);
+    }
+
+    if (member.returnType && member.returnType !== "void") {
+      checks.push(["returns", member.returns]);
+    }
+    checkElement(name, checks);
+  }
+
+  const members = [
+    ...(type.properties || []),
+    ...(type.fields || []),
+    ...(type.events || []),
+    ...(type.enumMembers || []).filter((m) => m.name !== "value__"),
+  ];
+  for (const member of members) {
+    checkElement(`${type.name}.${member.name}`, [["summary", member.summary]]);
+  }
+
+  return coverage;
+}
+
+// Helper to format a coverage percentage
+function formatCoveragePercent(coverage) {
+  return `${coverage.percent.toFixed(1)}%`;
+}
+
+// Helper to add the percentage to a { total, documented } count
+function withCoveragePercent(coverage) {
+  return {
+    ...coverage,
+    percent:
+      coverage.total === 0 ? 100 : (coverage.documented / coverage.total) * 100,
+  };
+}
+
+// Build the coverage report of every public type and member, grouped by
+// assembly and namespace
+function getCoverageReport(packages, threshold) {
+  const report = { threshold, total: 0, documented: 0, assemblies: [] };
+
+  for (const { assemblyName, apiData } of packages) {
+    const assembly = { name: assemblyName, total: 0, documented: 0, namespaces: [] };
+
+    for (const namespace of apiData.data) {
+      const namespaceCoverage = {
+        name: namespace.self.displayName,
+        total: 0,
+        documented: 0,
+        missing: [],
+      };
+
+      for (const type of namespace.types) {
+        if (type.payloadInfo.accessLevel !== "Public") continue;
+
+        const typeCoverage = getTypeCoverage(type);
+        namespaceCoverage.total += typeCoverage.total;
+        namespaceCoverage.documented += typeCoverage.documented;
+        namespaceCoverage.missing.push(...typeCoverage.missing);
+      }
+
+      assembly.total += namespaceCoverage.total;
+      assembly.documented += namespaceCoverage.documented;
+      assembly.namespaces.push(withCoveragePercent(namespaceCoverage));
+    }
+
+    report.total += assembly.total;
+    report.documented += assembly.documented;
+    report.assemblies.push(withCoveragePercent(assembly));
+  }
+
+  return withCoveragePercent(report);
+}
+
+// Generate the markdown version of the coverage report
+function generateCoverageMarkdown(report) {
+  let markdown = `# API Documentation Coverage\n\n`;
+  markdown += `**Overall:** ${formatCoveragePercent(report)} (${report.documented} of ${report.total} checks documented, threshold ${report.threshold}%)\n\n`;
+  markdown += `Each public type and member is checked for a summary, and methods and constructors for parameter descriptions and returns text.\n\n`;
+
+  for (const assembly of report.assemblies) {
+    markdown += `## ${assembly.name}\n\n`;
+    markdown += `**Coverage:** ${formatCoveragePercent(assembly)} (${assembly.documented} of ${assembly.total})\n\n`;
+    markdown += "| Namespace | Coverage | Missing |\n";
+    markdown += "|-----------|----------|---------|\n";
+    for (const namespace of assembly.namespaces) {
+      markdown += `| ${namespace.name} | ${formatCoveragePercent(namespace)} | ${
+        namespace.total - namespace.documented
+      } |\n`;
+    }
+    markdown += "\n";
+
+    for (const namespace of assembly.namespaces) {
+      if (namespace.missing.length === 0) continue;
+
+      markdown += `### ${namespace.name}\n\n`;
+      markdown += "| Member | Missing |\n";
+      markdown += "|--------|---------|\n";
+      for (const entry of namespace.missing) {
+        markdown += `| ${toInlineCode(entry.member)} | ${entry.missing.join(", ")} |\n`;
+      }
+      markdown += "\n";
+    }
+  }
+
+  return markdown;
+}
+
+// Write the documentation coverage report to outputDir and return it. The
+// threshold is recorded in the report; failing a run below it is up to the caller.
+function reportCoverage(outputDir, threshold) {
+  const report = getCoverageReport(loadPackages(), threshold);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(outputDir, "api-coverage.json"),
+    JSON.stringify(report, null, 2)
+  );
+  fs.writeFileSync(
+    path.join(outputDir, "api-coverage.md"),
+    generateCoverageMarkdown(report)
+  );
+
+  for (const assembly of report.assemblies) {
+    log(`${assembly.name}: ${formatCoveragePercent(assembly)}`);
+  }
+  log(
+    `\nDocumentation coverage: ${formatCoveragePercent(report)} (${report.documented} of ${report.total} checks)`
+  );
+  log(`Coverage report written to: ${outputDir}`);
+
+  return report;
+}
+
+// Helper to get the label of a version ("0.3.0" -> "v0.3.0", "next" stays as-is)
+function getVersionLabel(version) {
+  return /^\d/.test(version) ? `v${version}` : version;
+}
+
+// Helper to order versions newest first. Named versions such as "next" are
+// unreleased and go before the numbered ones.
+function compareApiVersions(a, b) {
+  const aNumbers = a.match(/^v?(\d+(?:\.\d+)*)/);
+  const bNumbers = b.match(/^v?(\d+(?:\.\d+)*)/);
+  if (!aNumbers || !bNumbers) {
+    return Boolean(aNumbers) - Boolean(bNumbers) || a.localeCompare(b);
+  }
+
+  const aParts = aNumbers[1].split(".").map(Number);
+  const bParts = bNumbers[1].split(".").map(Number);
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const difference = (bParts[i] || 0) - (aParts[i] || 0);
+    if (difference !== 0) return difference;
+  }
+
+  // "0.3.0" before "0.3.0-beta.1"
+  return a.localeCompare(b);
+}
+
+// Add the version being generated to api-versions.json and drop versions
+// whose pages are no longer in /api/
+function updateVersionsManifest() {
+  const previous = fs.existsSync(versionsManifestPath)
+    ? JSON.parse(fs.readFileSync(versionsManifestPath, "utf-8"))
+    : { versions: [] };
+
+  const versions = [
+    ...new Set([apiVersion, ...previous.versions.map((v) => v.version)]),
+  ]
+    .filter((version) =>
+      fs.existsSync(path.join(apiOutputDir, version, "index.md"))
+    )
+    .sort(compareApiVersions);
+  const latest = versions.find((version) => /^\d/.test(version)) || versions[0];
+
+  const manifest = {
+    latest,
+    versions: versions.map((version) => ({
+      version,
+      text: getVersionLabel(version),
+      link: `/api/${version}/`,
+    })),
+  };
+
+  writeFileIfChanged(versionsManifestPath, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// Generate the /api/ page listing the published versions
+function generateVersionsMarkdown(manifest) {
+  return renderTemplate(templates, "versions", {
+    versions: manifest.versions.map(({ version, text, link }) => {
+      let note = "";
+      if (version === manifest.latest) {
+        note = "Latest release";
+      } else if (!/^\d/.test(version)) {
+        note = "Unreleased";
+      }
+      return { text, link, note };
+    }),
+  });
+}
+
+// Read the docs config file, if there is one, over the defaults
+function loadDocsConfig() {
+  if (!fs.existsSync(docsConfigPath)) {
+    if (settings.config) {
+      throw new Error(`Docs config file ${docsConfigPath} does not exist`);
+    }
+    return defaultDocsConfig;
+  }
+
+  const config = {
+    ...defaultDocsConfig,
+    ...JSON.parse(fs.readFileSync(docsConfigPath, "utf-8")),
+  };
+  if (![1, 2, 3].includes(config.sidebarDepth)) {
+    throw new Error(
+      `sidebarDepth in ${docsConfigPath} must be 1, 2 or 3, not ${JSON.stringify(
+        config.sidebarDepth
+      )}`
+    );
+  }
+  if (
+    typeof config.namespaces !== "object" ||
+    config.namespaces === null ||
+    Array.isArray(config.namespaces)
+  ) {
+    throw new Error(
+      `namespaces in ${docsConfigPath} must map namespace names to { summary, highlights }`
+    );
+  }
+  return config;
+}
+
+// Load the page templates, with the overrides named by the docs config file
+function loadPageTemplates() {
+  const templateDirs = [defaultTemplatesDir];
+  if (docsConfig.templates) {
+    const overrideDir = path.resolve(
+      path.dirname(docsConfigPath),
+      docsConfig.templates
+    );
+    if (!fs.existsSync(overrideDir)) {
+      throw new Error(
+        `Template directory ${overrideDir} (set in ${docsConfigPath}) does not exist`
+      );
+    }
+    templateDirs.push(overrideDir);
+  }
+  return loadTemplates(templateDirs);
+}
+
+// Write the offline bundle of the version: the given pages as one markdown
+// file and one standalone HTML file
+function writeApiBundle(bundlePages) {
+  const pages = bundlePages.map((page) => {
+    const pagePath = page.url.slice(apiBaseUrl.length + 1).replace(/\/$/, "/index");
+    return {
+      ...page,
+      markdown: fs.readFileSync(path.join(versionOutputDir, `${pagePath}.md`), "utf-8"),
+    };
+  });
+  const versionLabel = getVersionLabel(apiVersion);
+  const { markdown, html } = createApiBundle(pages, {
+    title: `API Reference (${versionLabel})`,
+    description: `The .NET API reference (${versionLabel}) as a single file, generated from \`${getSourceRef()}\`. Links to the rest of the documentation point at ${settings.siteUrl}.`,
+    baseUrl: apiBaseUrl,
+    siteUrl: settings.siteUrl,
+  });
+
+  const bundlePath = path.join(path.resolve(settings.bundleDir), `api-reference-${apiVersion}`);
+  writeFileIfChanged(`${bundlePath}.md`, markdown);
+  writeFileIfChanged(`${bundlePath}.html`, html);
+  log(`Offline bundle written to: ${bundlePath}.md and .html`);
+}
+
+// Register the public types of the packages as cref targets, so members can be
+// resolved and formatted. Returns their "namespace/type" keys.
+function registerDocumentedTypes(packages) {
+  crefTargets.clear();
+  const documentedTypes = new Set();
+  for (const { assemblyName, apiData } of packages) {
+    for (const namespace of apiData.data) {
+      for (const type of namespace.types) {
+        if (type.payloadInfo.accessLevel !== "Public") continue;
+        const typeKey = `${sanitizeUrlName(
+          namespace.self.displayName
+        )}/${sanitizeUrlName(type.name)}`;
+        documentedTypes.add(typeKey);
+        registerCrefTarget(type, namespace.self.displayName, assemblyName);
+      }
+    }
+  }
+  return documentedTypes;
+}
+
+// Main function to generate API documentation. Watch mode passes the packages
+// it keeps loaded, and changedTypes: the keys of the types whose content
+// changed since its last run. Then only their type pages, and those of the
+// types inheriting from them, are rendered again; the other type pages are
+// kept. All other pages are always rendered.
+function generateApiDocs(options = {}) {
+  const { changedTypes = null } = options;
+  log("Generating API documentation...");
+
+  docsConfig = loadDocsConfig();
+  templates = loadPageTemplates();
+  const packages = options.packages || loadPackages();
+  const previousFiles = readGeneratedFiles();
+  generatedFiles.clear();
+  writeCounts.written = 0;
+  writeCounts.unchanged = 0;
+  const searchIndex = [];
+
+  // First pass: collect all documented types
+  const documentedTypes = registerDocumentedTypes(packages);
+  const referenceCounts = countTypeReferences(packages, documentedTypes);
+  const documentedAssemblies = new Set(packages.map((p) => p.assemblyName));
+
+  // Pages of the offline bundle in reading order, with their depth in its contents
+  const bundlePages = [];
+  const typePageCounts = { rendered: 0, total: 0 };
+
+  // Assemblies listed on the index of this version
+  const indexAssemblies = [];
+  const assemblyConfig = [];
+
+  // Sort assemblies in reverse order so MJCZone.DapperMatic comes before AspNetCore
+  const sortedPackages = [...packages].sort((a, b) =>
+    b.assemblyName.localeCompare(a.assemblyName)
+  );
+
+  for (const { assemblyName, apiData } of sortedPackages) {
+    const project = readProjectInfo(assemblyName);
+
+    // Add to index
+    indexAssemblies.push({
+      name: assemblyName,
+      url: `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}`,
+      summary: getAssemblySummary(apiData, project),
+    });
+
+    // Create assembly directory
+    const assemblyDir = path.join(
+      versionOutputDir,
+      sanitizeUrlName(assemblyName)
+    );
+    if (!fs.existsSync(assemblyDir)) {
+      fs.mkdirSync(assemblyDir, { recursive: true });
+    }
+
+    // Generate the IDbConnection extension method pages
+    const extensionConfigItem = generateExtensionMethodPages(
+      assemblyName,
+      apiData,
+      assemblyDir,
+      documentedTypes
+    );
+
+    // Generate assembly index page
+    const assemblyMarkdown = generateAssemblyMarkdown(
+      assemblyName,
+      apiData,
+      Boolean(extensionConfigItem),
+      project,
+      referenceCounts,
+      documentedAssemblies
+    );
+    writeGeneratedFile(path.join(assemblyDir, "index.md"), assemblyMarkdown);
+
+    // Add to config; namespaces are only listed from sidebar depth 2
+    const assemblyConfigItem = {
+      text: getDisplayName(assemblyName),
+      link: `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}/`,
+    };
+    if (docsConfig.sidebarDepth >= 2) {
+      assemblyConfigItem.collapsed = true;
+      assemblyConfigItem.items = [];
+    }
+    bundlePages.push({ url: assemblyConfigItem.link, depth: 0 });
+    if (extensionConfigItem) {
+      bundlePages.push({ url: extensionConfigItem.link, depth: 1 });
+      for (const item of extensionConfigItem.items) {
+        bundlePages.push({ url: item.link, depth: 2 });
+      }
+    }
+
+    if (extensionConfigItem && assemblyConfigItem.items) {
+      assemblyConfigItem.items.push(extensionConfigItem);
+    }
+
+    // Generate pages for each namespace
+    for (const namespace of apiData.data) {
+      const namespaceName = namespace.self.displayName;
+      const namespaceDir = path.join(
+        assemblyDir,
+        sanitizeUrlName(namespaceName)
+      );
+
+      if (!fs.existsSync(namespaceDir)) {
+        fs.mkdirSync(namespaceDir, { recursive: true });
+      }
+
+      // Generate namespace index page
+      const namespaceMarkdown = generateNamespaceMarkdown(
+        namespace,
+        assemblyName,
+        referenceCounts
+      );
+      writeGeneratedFile(path.join(namespaceDir, "index.md"), namespaceMarkdown);
+
+      // Add namespace to config, with its types grouped by kind from sidebar depth 3
+      const namespaceConfigItem = {
+        text: createDisplayName(namespaceName, assemblyName),
+        link: `${apiBaseUrl}/${sanitizeUrlName(assemblyName)}/${sanitizeUrlName(
+          namespaceName
+        )}/`,
+      };
+      if (docsConfig.sidebarDepth >= 3) {
+        namespaceConfigItem.collapsed = true;
+        namespaceConfigItem.items = groupTypesByCategory(namespace).map(
+          (category) => ({
+            text: category.name,
+            items: category.types.map((type) => {
+              // Sidebar text is rendered as HTML
+              const text = escapeAngleBrackets(getTypeDisplayName(type, namespaceName));
+              const isObsolete = getApiAttributes(
+                type.commentId || `T:${namespaceName}.${type.name}`
+              ).obsolete;
+              return {
+                text: isObsolete ? `<s>${text}</s>` : text,
+                link: `${namespaceConfigItem.link}${sanitizeUrlName(type.name)}`,
+              };
+            }),
+          })
+        );
+      }
+
+      // Generate pages for each type
+      bundlePages.push({ url: namespaceConfigItem.link, depth: 1 });
+      for (const type of namespace.types) {
+        if (type.payloadInfo.accessLevel !== "Public") continue;
+
+        const typeKey = `${sanitizeUrlName(namespaceName)}/${sanitizeUrlName(type.name)}`;
+        const typePath = path.join(namespaceDir, `${sanitizeUrlName(type.name)}.md`);
+        typePageCounts.total++;
+        if (
+          !changedTypes ||
+          !fs.existsSync(typePath) ||
+          [typeKey, ...getAncestorKeys(type)].some((key) => changedTypes.has(key))
+        ) {
+          const typeMarkdown = generateTypeMarkdown(
+            type,
+            namespaceName,
+            assemblyName,
+            documentedTypes
+          );
+          writeGeneratedFile(typePath, typeMarkdown);
+          typePageCounts.rendered++;
+        } else {
+          keepGeneratedFile(typePath);
+        }
+        searchIndex.push(...getSearchEntries(type, namespaceName, assemblyName));
+        bundlePages.push({
+          url: `${namespaceConfigItem.link}${sanitizeUrlName(type.name)}`,
+          depth: 2,
+        });
+      }
+
+      if (assemblyConfigItem.items) {
+        assemblyConfigItem.items.push(namespaceConfigItem);
+      }
+    }
+
+    assemblyConfig.push(assemblyConfigItem);
+  }
+
+  // Write the index of this version
+  writeGeneratedFile(
+    path.join(versionOutputDir, "index.md"),
+    renderTemplate(templates, "version-index", {
+      versionLabel: getVersionLabel(apiVersion),
+      searchUrl: `${apiBaseUrl}/search`,
+      assemblies: indexAssemblies,
+    })
+  );
+
+  // Write the search page and the index its ApiSearch component loads
+  writeGeneratedFile(
+    path.join(versionOutputDir, "search-index.json"),
+    JSON.stringify(searchIndex)
+  );
+  writeGeneratedFile(
+    path.join(versionOutputDir, "search.md"),
+    renderTemplate(templates, "search", {
+      version: apiVersion,
+      versionLabel: getVersionLabel(apiVersion),
+      entryCount: searchIndex.length,
+    })
+  );
+
+  // Remove the pages of types, namespaces and assemblies that no longer exist
+  const removedCount = removeStaleFiles(previousFiles);
+  fs.writeFileSync(
+    generatedFilesPath,
+    JSON.stringify([...generatedFiles].sort(), null, 2)
+  );
+
+  // Link the page written by generate-api-changes.js, if there is one
+  const changesConfig = fs.existsSync(path.join(versionOutputDir, "changes.md"))
+    ? [{ text: "API Changes", link: `${apiBaseUrl}/changes` }]
+    : [];
+
+  const manifest = updateVersionsManifest();
+
+  // Write the version list shown at /api/
+  writeFileIfChanged(
+    path.join(apiOutputDir, "index.md"),
+    generateVersionsMarkdown(manifest)
+  );
+
+  // Generate and write sidebar configuration. Sidebars of the other published
+  // versions are kept from the previous run, since only this version's
+  // packages are available.
+  const previousSidebarConfig = fs.existsSync(sidebarConfigPath)
+    ? JSON.parse(fs.readFileSync(sidebarConfigPath, "utf-8"))
+    : {};
+  const sidebarConfig = {
+    "/api/": [
+      {
+        text: "API Reference",
+        items: [
+          { text: "Versions", link: "/api/" },
+          ...manifest.versions.map((v) => ({ text: v.text, link: v.link })),
+        ],
+      },
+    ],
+  };
+  for (const { version, text, link } of manifest.versions) {
+    if (version === apiVersion) {
+      sidebarConfig[link] = [
+        {
+          text: `API Reference (${text})`,
+          items: [
+            { text: "Overview", link },
+            { text: "Search", link: `${link}search` },
+            ...changesConfig,
+            ...assemblyConfig,
+          ],
+        },
+      ];
+    } else if (previousSidebarConfig[link]) {
+      sidebarConfig[link] = previousSidebarConfig[link];
+    }
+  }
+
+  // Write sidebar config to JSON file
+  writeFileIfChanged(sidebarConfigPath, JSON.stringify(sidebarConfig, null, 2));
+
+  if (settings.bundleDir) {
+    writeApiBundle(bundlePages);
+  }
+
+  if (changedTypes) {
+    log(`\n${typePageCounts.rendered} of ${typePageCounts.total} type page(s) rendered again`);
+  }
+  log(
+    `\n${writeCounts.written} file(s) written, ${writeCounts.unchanged} unchanged, ${removedCount} stale page(s) removed`
+  );
+  log(`API reference for version "${apiVersion}" written to: ${versionOutputDir}`);
+  log(`API versions manifest written to: ${versionsManifestPath}`);
+  log(`API sidebar configuration written to: ${sidebarConfigPath}`);
+  log("Import this in your VitePress config.js:");
+  log("  import apiSidebar from './api-sidebar.json' with { type: 'json' };");
+  log("  // Then use: ...apiSidebar in your sidebar configuration");
+  log("\nAPI documentation generation complete!");
+}
+
+// Regenerate whenever a package, XML documentation file or one of the source,
+// generics and attributes maps changes. Only the changed files are read again,
+// and when only documentation changed, only the pages of the changed types and
+// of the types inheriting from them are rendered again (see
+// getTypeFingerprints). Anything else, such as an added type or member,
+// renders every page. Either way only pages whose content changed are written,
+// so VitePress HMR reloads just those.
+function watchPackages() {
+  const watchedFiles = settings.xml
+    ? [
+        ...settings.xml,
+        ...settings.sourceMaps,
+        ...settings.genericsMaps,
+        ...settings.attributesMaps,
+      ].map((file) => path.resolve(file))
+    : null;
+  const watchedDirs = watchedFiles
+    ? [...new Set(watchedFiles.map((file) => path.dirname(file)))]
+    : [packagesDir];
+
+  let packages = loadPackages();
+  let fingerprints = getTypeFingerprints(packages);
+
+  let timer = null;
+  const changedFiles = new Set();
+  function scheduleRebuild(directory, fileName) {
+    if (!fileName) return;
+    const filePath = path.join(directory, fileName.toString());
+    const isWatched = watchedFiles
+      ? watchedFiles.includes(filePath)
+      : /\.(json|xml)$/.test(filePath);
+    if (!isWatched) return;
+
+    // The test writes several files in a row; rebuild once they are all there
+    changedFiles.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...changedFiles];
+      changedFiles.clear();
+      log(`\n${files.map((file) => path.basename(file)).join(", ")} changed`);
+      try {
+        const updatedPackages = reloadPackages(packages, files);
+        const updatedFingerprints = getTypeFingerprints(updatedPackages);
+        generateApiDocs({
+          packages: updatedPackages,
+          changedTypes: getChangedTypeKeys(fingerprints, updatedFingerprints),
+        });
+        packages = updatedPackages;
+        fingerprints = updatedFingerprints;
+      } catch (error) {
+        // A package may be read while it is still being written; the next
+        // change event rebuilds again, from the last packages that worked
+        files.forEach((file) => changedFiles.add(file));
+        console.error(`Failed to regenerate API documentation: ${error.message}`);
+      }
+    }, 300);
+  }
+
+  for (const directory of watchedDirs) {
+    fs.watch(directory, (eventType, fileName) =>
+      scheduleRebuild(directory, fileName)
+    );
+  }
+  log(`\nWatching ${watchedDirs.join(", ")} for changes...`);
+}
+
+export {
+  configure,
+  generateApiDocs,
+  getChangedTypeKeys,
+  getTypeFingerprints,
+  loadJsonPackages,
+  loadPackages,
+  registerDocumentedTypes,
+  reloadPackages,
+  reportCoverage,
+  watchPackages,
+  escapeAngleBrackets,
+  extractParameterTypes,
+  findDocumentedTypeKey,
+  formatCommentIdType,
+  formatTypeCounts,
+  formatTypeWithLinks,
+  getGenericArity,
+  getMethodSignature,
+  getMsBuildProperty,
+  getMsBuildReferences,
+  getParameterTypes,
+  getProviderSupportView,
+  getReferencedTypeKeys,
+  getTypeDisplayName,
+  getTypeParts,
+  sanitizeUrlName,
+  splitCommentIdParameters,
+  toVueProp,
+};
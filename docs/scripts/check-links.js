@@ -0,0 +1,38 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { checkLinks } from "./link-checker.js";
+
+// Checks the internal links of the site before VitePress builds it and reports
+// the broken ones. The checks live in link-checker.js.
+//
+// Usage:
+//   node scripts/check-links.js
+//     --strict   Fail on unresolved crefs too, not only on broken links
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const { values: cliOptions } = parseArgs({
+  options: {
+    strict: { type: "boolean", default: false },
+  },
+});
+
+const { checked, pages, errors, warnings } = checkLinks({
+  docsDir: path.join(__dirname, ".."),
+  strict: cliOptions.strict,
+});
+
+for (const warning of warnings) {
+  console.warn(`⚠️  ${warning}`);
+}
+for (const error of errors) {
+  console.error(`❌ ${error}`);
+}
+console.log(
+  `\nChecked ${checked} link(s) on ${pages.length} page(s): ${errors.length} error(s), ${warnings.length} warning(s)`
+);
+if (errors.length > 0) {
+  process.exitCode = 1;
+}
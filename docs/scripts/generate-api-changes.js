@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { compareSnapshots, generateChangesMarkdown, loadSnapshot } from "./api-changes.js";
+import { sanitizeUrlName } from "./api-docs-generator.js";
+
+// Compares two snapshots of the Akov JSON in docs/packages (for example from
+// two release tags) and writes an "API changes" page listing added and removed
+// types, changed member signatures, property types and enum members, with
+// breaking changes flagged. The comparison lives in api-changes.js.
+//
+// Usage:
+//   node scripts/generate-api-changes.js --old <dir> [--new <dir>]
+//     --old <dir>        Packages directory of the previous release
+//     --new <dir>        Packages directory of the current release (default docs/packages)
+//     --old-label <text> Name of the previous release in the report (default: directory name)
+//     --new-label <text> Name of the current release in the report (default: directory name)
+//     --api-version <v>  API version the type links point at (default "next")
+//     --output <file>    Markdown page to write (default docs/api/<version>/changes.md)
+//     --json <file>      Also write the changes as JSON
+//     --fail-on-breaking Exit non-zero when there are breaking changes
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const { values: cliOptions } = parseArgs({
+  options: {
+    old: { type: "string" },
+    new: { type: "string", default: path.join(__dirname, "../packages") },
+    "old-label": { type: "string" },
+    "new-label": { type: "string" },
+    "api-version": { type: "string", default: "next" },
+    output: { type: "string" },
+    json: { type: "string" },
+    "fail-on-breaking": { type: "boolean", default: false },
+  },
+});
+
+// Version folder of the pages generated by generate-api-docs.js
+const apiVersion = sanitizeUrlName(cliOptions["api-version"]);
+
+function generateApiChanges() {
+  if (!cliOptions.old) {
+    throw new Error("Missing --old <dir>: the packages directory to compare against");
+  }
+
+  const oldDir = path.resolve(cliOptions.old);
+  const newDir = path.resolve(cliOptions.new);
+  const oldLabel = cliOptions["old-label"] || path.basename(oldDir);
+  const newLabel = cliOptions["new-label"] || path.basename(newDir);
+
+  console.log(`Comparing ${oldLabel} (${oldDir}) with ${newLabel} (${newDir})...`);
+
+  const changes = compareSnapshots(loadSnapshot(oldDir), loadSnapshot(newDir), apiVersion);
+
+  const outputPath = cliOptions.output
+    ? path.resolve(cliOptions.output)
+    : path.join(__dirname, "../api", apiVersion, "changes.md");
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, generateChangesMarkdown(changes, oldLabel, newLabel));
+  console.log(`API changes page written to: ${outputPath}`);
+
+  if (cliOptions.json) {
+    const jsonPath = path.resolve(cliOptions.json);
+    fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+    fs.writeFileSync(
+      jsonPath,
+      JSON.stringify({ old: oldLabel, new: newLabel, changes }, null, 2)
+    );
+    console.log(`API changes JSON written to: ${jsonPath}`);
+  }
+
+  const breakingCount = Object.values(changes)
+    .flat()
+    .filter((c) => c.breaking).length;
+  console.log(`\n${breakingCount} breaking change(s) found.`);
+  if (cliOptions["fail-on-breaking"] && breakingCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the comparison
+generateApiChanges();
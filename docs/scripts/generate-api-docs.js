@@ -1,961 +1,111 @@
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import {
+  configure,
+  generateApiDocs,
+  reportCoverage,
+  watchPackages,
+} from "./api-docs-generator.js";
+
+// Command line entry of the API docs generator. The generator itself lives in
+// api-docs-generator.js, so its helpers can be imported by the tests in
+// scripts/tests/ without generating anything.
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const packagesDir = path.join(__dirname, "../packages");
-const apiOutputDir = path.join(__dirname, "../api");
-
-// Ensure output directory exists
-if (!fs.existsSync(apiOutputDir)) {
-  fs.mkdirSync(apiOutputDir, { recursive: true });
-}
-
-// Helper to sanitize names for URLs
-function sanitizeUrlName(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9-_.]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-// Helper to get friendly display names for assemblies
-function getDisplayName(assemblyName) {
-  const displayNames = {
-    "MJCZone.DapperMatic": "🔧 DapperMatic Core",
-    "MJCZone.DapperMatic.AspNetCore": "🌐 ASP.NET Core"
-  };
-
-  return displayNames[assemblyName] || assemblyName;
-}
-
-// Helper to sanitize inheritance URLs (preserves path structure)
-function sanitizeInheritanceUrl(url) {
-  return url
-    .split("/")
-    .map((part) => sanitizeUrlName(part))
-    .join("/");
-}
-
-// Helper to format documentation text
-function formatDocumentation(text) {
-  if (!text) return "";
-
-  // Convert <see cref="T:TypeName" /> to inline code
-  let result = text.replace(/<see cref="[A-Z]:([^"]+)" \/>/g, (match, typeName) => {
-    // Clean up the type name (remove namespace prefixes, handle generics)
-    const cleanName = typeName
-      .split('.')
-      .pop()
-      .replace(/`\d+$/, ''); // Remove generic arity markers like `1
-    return `\`${cleanName}\``;
-  });
-
-  // Escape ALL remaining angle brackets
-  let escaped = '';
-  for (let i = 0; i < result.length; i++) {
-    const char = result[i];
-    if (char === '<') {
-      escaped += '&lt;';
-    } else if (char === '>') {
-      escaped += '&gt;';
-    } else {
-      escaped += char;
-    }
-  }
-
-  return escaped;
-}
-
-// Helper to format text for use in markdown tables (removes line breaks)
-function formatTableText(text) {
-  if (!text) return "";
-  return formatDocumentation(text)
-    .replace(/\r?\n/g, " ") // Replace line breaks with spaces
-    .replace(/\s+/g, " ")  // Collapse multiple spaces
-    .trim();
-}
-
-// Helper to decode Unicode-escaped angle brackets and format types for display
-function decodeTypeString(typeStr) {
-  if (!typeStr) return "void";
-  return typeStr.replace(/\\u003C/g, "<").replace(/\\u003E/g, ">");
-}
-
-// Helper to extract linkable type from a type string (removes generics, nullables, etc.)
-function extractBaseTypeName(typeStr) {
-  if (!typeStr) return null;
-
-  const decoded = decodeTypeString(typeStr);
-
-  // Handle array types: Type[] -> Type
-  let baseType = decoded.replace(/\[\]$/, "");
-
-  // Handle nullable types: Type? -> Type
-  baseType = baseType.replace(/\?$/, "");
-
-  // Handle generic types: Task<Type> -> Task, List<Type> -> List
-  const genericMatch = baseType.match(/^([^<]+)</);
-  if (genericMatch) {
-    return genericMatch[1];
-  }
-
-  return baseType;
-}
-
-// Helper to extract inner types from generics (for linking) - handles nested generics recursively
-function extractGenericTypes(typeStr) {
-  if (!typeStr) return [];
-
-  const decoded = decodeTypeString(typeStr);
-  const result = [];
-
-  // Find all type names that could be documented (not system types)
-  // This regex matches type names (word characters, no dots for namespace)
-  const typeMatches = decoded.match(/\b[A-Z][a-zA-Z0-9_]*\b/g) || [];
-
-  for (const match of typeMatches) {
-    // Skip common system/primitive types but include our documented types
-    if (!isPrimitiveType(match) && match.length > 1) {
-      result.push(match);
-    }
-  }
-
-  return [...new Set(result)]; // Remove duplicates
-}
-
-// Helper to format a type with proper linking
-function formatTypeWithLinks(
-  typeStr,
-  documentedTypes,
-  assemblyName,
-  wrapInCode = true
-) {
-  if (!typeStr) return wrapInCode ? "`void`" : "void";
-
-  const decoded = decodeTypeString(typeStr);
-  let result = decoded;
-
-  // Get all potential linkable types from this type string
-  const baseType = extractBaseTypeName(typeStr);
-  const genericTypes = extractGenericTypes(typeStr);
-  const allTypes = [baseType, ...genericTypes].filter(Boolean);
-
-  // Replace each documented type with a link (in order of specificity to avoid conflicts)
-  const replacements = [];
-
-  for (const type of allTypes) {
-    if (isPrimitiveType(type)) continue;
-
-    const typeKey = findDocumentedTypeKey(type, documentedTypes);
-    if (typeKey) {
-      const link = `[${type}](/api/${sanitizeUrlName(
-        assemblyName
-      )}/${typeKey})`;
-      replacements.push({ type, link });
-    }
-  }
-
-  // Sort by length (longer first) to avoid partial replacements
-  replacements.sort((a, b) => b.type.length - a.type.length);
-
-  // Apply replacements, but only if the type isn't already linked
-  for (const { type, link } of replacements) {
-    const regex = new RegExp(`\\b${escapeRegex(type)}\\b(?!\\]|\\))`, "g");
-    result = result.replace(regex, link);
-  }
-
-  // Escape ALL angle brackets - they shouldn't appear in type names outside code blocks
-  // Even inside markdown links, generic type parameters like <T> need escaping
-  let escaped = '';
-  for (let i = 0; i < result.length; i++) {
-    const char = result[i];
-    if (char === '<') {
-      escaped += '&lt;';
-    } else if (char === '>') {
-      escaped += '&gt;';
-    } else {
-      escaped += char;
-    }
-  }
-
-  return wrapInCode ? `\`${escaped}\`` : escaped;
-}
-
-// Helper to check if a type is primitive
-function isPrimitiveType(type) {
-  const primitives = [
-    "void",
-    "bool",
-    "byte",
-    "sbyte",
-    "char",
-    "decimal",
-    "double",
-    "float",
-    "int",
-    "uint",
-    "long",
-    "ulong",
-    "short",
-    "ushort",
-    "string",
-    "object",
-    "Task",
-    "List",
-    "Dictionary",
-    "Array",
-    "IEnumerable",
-    "ICollection",
-    "Version",
-    "Type",
-    "Attribute",
-    "Exception",
-    "CancellationToken",
-    "IDbConnection",
-    "IDbTransaction",
-  ];
-  return primitives.includes(type);
-}
-
-// Helper to find a documented type key (case-insensitive search)
-function findDocumentedTypeKey(typeName, documentedTypes) {
-  const searchName = typeName.toLowerCase();
-
-  // Direct match first
-  for (const key of documentedTypes) {
-    if (key.toLowerCase().endsWith(`/${searchName}`)) {
-      return key;
-    }
-  }
-
-  // Handle generic type mapping: if searching for "DbProviderTypeMapBase" but have "dbprovidertypemapbase-1"
-  // Try searching for the generic version
-  for (const key of documentedTypes) {
-    if (key.toLowerCase().endsWith(`/${searchName}-1`)) {
-      return key;
-    }
-  }
-
-  // Fallback: search for the type name anywhere in the key
-  for (const key of documentedTypes) {
-    const keyParts = key.toLowerCase().split("/");
-    if (keyParts.includes(searchName)) {
-      return key;
-    }
-  }
-
-  return null;
-}
-
-// Helper to escape special regex characters
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
-// Helper to create a shorter display name for namespaces
-function createDisplayName(namespaceName, assemblyName) {
-  // If the namespace exactly matches the assembly, use a root identifier
-  if (namespaceName === assemblyName) {
-    return "📦 Root";
-  }
-
-  // If the namespace starts with the assembly name, replace it with a shorter identifier
-  if (namespaceName.startsWith(assemblyName + ".")) {
-    const remainder = namespaceName.slice(assemblyName.length + 1);
-    return `📦 / ${remainder}`;
-  }
-
-  // Otherwise, use the full namespace name
-  return namespaceName;
-}
-
-// Helper to create clickable type links for parameters
-function createTypeLink(typeName, assemblyName, documentedTypes) {
-  if (!typeName || isPrimitiveType(typeName)) {
-    return escapeAngleBrackets(typeName);
-  }
-
-  // Reuse the same logic as inheritance links
-  const foundTypeKey = findDocumentedTypeKey(typeName, documentedTypes);
-  if (foundTypeKey) {
-    const typeUrl = `/api/${sanitizeUrlName(assemblyName)}/${foundTypeKey}`;
-    return escapeAngleBrackets(`[${typeName}](${typeUrl})`);
-  }
-
-  return escapeAngleBrackets(typeName);
-}
-
-// Helper to extract parameter types from commentId
-function extractParameterTypes(commentId) {
-  if (!commentId || commentId === "NOT FOUND") {
-    return [];
-  }
-
-  // Find the parameters part: everything after the first '(' and before the last ')'
-  const paramStart = commentId.indexOf("(");
-  const paramEnd = commentId.lastIndexOf(")");
-  if (paramStart === -1 || paramEnd === -1 || paramEnd <= paramStart) {
-    return [];
-  }
-
-  const paramString = commentId.substring(paramStart + 1, paramEnd);
-  if (!paramString.trim()) {
-    return [];
-  }
-
-  return paramString.split(",").map((p) => {
-    let type = p.trim();
-    // Remove ref (@) and out (&) indicators
-    if (type.endsWith("@") || type.endsWith("&")) {
-      type = type.slice(0, -1);
-    }
-    // Remove namespace prefixes to get clean type names
-    const parts = type.split(".");
-    let cleanType = parts[parts.length - 1];
-
-    // Handle some common type mappings
-    if (cleanType === "String") cleanType = "string";
-    else if (cleanType === "Int32") cleanType = "int";
-    else if (cleanType === "Boolean") cleanType = "bool";
-    else if (cleanType === "Double") cleanType = "double";
-    else if (cleanType === "Single") cleanType = "float";
-    else if (cleanType === "Int64") cleanType = "long";
-    else if (cleanType === "Int16") cleanType = "short";
-    else if (cleanType === "Byte") cleanType = "byte";
-    else if (cleanType === "Object") cleanType = "object";
-
-    return cleanType;
-  });
-}
-
-// Helper to escape angle brackets for use in markdown (simple character-by-character)
-function escapeAngleBrackets(text) {
-  if (!text) return text;
-
-  let result = '';
-  for (let i = 0; i < text.length; i++) {
-    const char = text[i];
-    if (char === '<') {
-      result += '&lt;';
-    } else if (char === '>') {
-      result += '&gt;';
-    } else {
-      result += char;
-    }
-  }
-  return result;
-}
-
-// Helper to shorten type names for better readability
-function shortenTypeName(typeName) {
-  if (!typeName) return typeName;
-
-  // Remove common namespace prefixes
-  const prefixesToRemove = [
-    'MJCZone.DapperMatic.AspNetCore.Models.Dtos.',
-    'MJCZone.DapperMatic.AspNetCore.Models.Requests.',
-    'MJCZone.DapperMatic.AspNetCore.Models.Responses.',
-    'MJCZone.DapperMatic.Models.',
-    'MJCZone.DapperMatic.',
-    'System.Threading.',
-    'System.Collections.Generic.',
-    'System.'
-  ];
-
-  let shortened = typeName;
-  for (const prefix of prefixesToRemove) {
-    if (shortened.startsWith(prefix)) {
-      shortened = shortened.substring(prefix.length);
-      break;
-    }
-  }
-
-  return shortened;
-}
-
-// Generate method signature
-function getMethodSignature(method) {
-  const params = method.parameters || [];
-  const methodName = method.title || method.name || "Method";
-  const returnType = method.returnType ? shortenTypeName(method.returnType) : null;
-
-  // Extract parameter types from commentId if available
-  const parameterTypes = extractParameterTypes(method.commentId);
-
-  // Build parameter strings with shortened type names
-  const paramStrings = params.map((p, index) => {
-    const paramType = parameterTypes[index] || p.type || "object";
-    const shortenedType = shortenTypeName(paramType);
-    return `${shortenedType} ${p.name}`;
-  });
-
-  // Create single-line signature first
-  const singleLineParams = paramStrings.join(", ");
-  const singleLineSignature = returnType
-    ? `${returnType} ${methodName}(${singleLineParams})`
-    : `${methodName}(${singleLineParams})`;
-
-  // If signature is short enough, use single line (80 chars is a good threshold)
-  if (singleLineSignature.length <= 80) {
-    return escapeAngleBrackets(singleLineSignature);
-  }
-
-  // For long signatures, use multi-line format
-  if (params.length === 0) {
-    const signature = returnType ? `${returnType} ${methodName}()` : `${methodName}()`;
-    return escapeAngleBrackets(signature);
-  }
-
-  const multiLineParams = paramStrings
-    .map((param, index) => {
-      const indent = "    "; // 4 spaces for parameter indentation
-      const comma = index < paramStrings.length - 1 ? "," : "";
-      return `${indent}${param}${comma}`;
-    })
-    .join("\n");
-
-  const signature = returnType
-    ? `${returnType} ${methodName}(\n${multiLineParams})`
-    : `${methodName}(\n${multiLineParams})`;
-
-  return escapeAngleBrackets(signature);
-}
-
-// Generate markdown for a type (class, interface, enum, etc.)
-function generateTypeMarkdown(
-  type,
-  namespaceName,
-  assemblyName,
-  documentedTypes = new Set()
-) {
-  let markdown = `# ${type.name}\n\n`;
-  markdown += `**Namespace:** [${namespaceName}](/api/${sanitizeUrlName(
-    assemblyName
-  )}/${sanitizeUrlName(namespaceName)})\n\n`;
-  markdown += `**Assembly:** [${assemblyName}](/api/${sanitizeUrlName(
-    assemblyName
-  )})\n\n`;
-
-  if (type.summary) {
-    markdown += `## Summary\n\n${formatDocumentation(type.summary)}\n\n`;
-  }
-
-  // Inheritance information
-  if (
-    type.baseType ||
-    (type.implementedInterfaces && type.implementedInterfaces.length > 0)
-  ) {
-    markdown += `## Inheritance\n\n`;
-
-    if (type.baseType) {
-      const baseTypeKey = sanitizeInheritanceUrl(type.baseType.url);
-      // Extract just the type name for the generic lookup
-      const typeNameOnly = baseTypeKey.split("/").pop();
-      const foundTypeKey = findDocumentedTypeKey(typeNameOnly, documentedTypes);
-      if (foundTypeKey) {
-        const baseUrl = `/api/${sanitizeUrlName(assemblyName)}/${foundTypeKey}`;
-        markdown += `**Base Class:** [${type.baseType.displayName}](${baseUrl})\n\n`;
-      } else {
-        markdown += `**Base Class:** ${type.baseType.displayName}\n\n`;
-      }
-    }
-
-    if (type.implementedInterfaces && type.implementedInterfaces.length > 0) {
-      markdown += `**Implemented Interfaces:**\n\n`;
-      for (const iface of type.implementedInterfaces) {
-        const ifaceTypeKey = sanitizeInheritanceUrl(iface.url);
-        // Extract just the type name for the generic lookup
-        const ifaceTypeNameOnly = ifaceTypeKey.split("/").pop();
-        const foundIfaceKey = findDocumentedTypeKey(
-          ifaceTypeNameOnly,
-          documentedTypes
-        );
-        if (foundIfaceKey) {
-          const ifaceUrl = `/api/${sanitizeUrlName(
-            assemblyName
-          )}/${foundIfaceKey}`;
-          markdown += `- [${iface.displayName}](${ifaceUrl})\n`;
-        } else {
-          markdown += `- ${iface.displayName}\n`;
-        }
-      }
-      markdown += "\n";
-    }
-  }
-
-  // Type info badges
-  const badges = [];
-  if (type.payloadInfo) {
-    if (type.payloadInfo.isStatic) badges.push("`static`");
-    if (type.payloadInfo.isAbstract) badges.push("`abstract`");
-    if (type.payloadInfo.isSealed) badges.push("`sealed`");
-    if (type.payloadInfo.accessLevel)
-      badges.push(`\`${type.payloadInfo.accessLevel.toLowerCase()}\``);
-  }
-
-  if (badges.length > 0) {
-    markdown += badges.join(" ") + "\n\n";
-  }
-
-  // Note about inheritance - since the JSON doesn't include this info
-  if (
-    type.elementType === "Class" &&
-    type.payloadInfo &&
-    type.payloadInfo.isAbstract
-  ) {
-    markdown += `> **Note:** This is an abstract base class. Concrete implementations can be found in provider-specific namespaces.\n\n`;
-  }
-
-  // For interfaces, note that they define contracts
-  if (type.elementType === "Interface") {
-    markdown += `> **Note:** This is an interface that defines a contract. Look for implementing classes in the same or related namespaces.\n\n`;
-  }
-
-  // Generate table of contents for types with many members
-  const tocSections = [];
-  if (type.constructors && type.constructors.length > 0) {
-    tocSections.push(
-      `[Constructors](#constructors) (${type.constructors.length})`
+// Command line options:
+//   --xml <file>                    Read a compiler-emitted XML documentation file
+//                                   (repeatable) instead of the Akov JSON in docs/packages
+//   --coverage                      Report missing summaries, parameter descriptions and
+//                                   returns text instead of generating pages
+//   --coverage-threshold <percent>  Exit non-zero when coverage is below this (default 90)
+//   --coverage-output <dir>         Where to write the coverage report (default docs/coverage)
+//   --source-map <file>             Read source locations from a symbol map (repeatable);
+//                                   docs/packages/<assembly>.sources.json is read automatically
+//   --generics-map <file>           Read type parameters and constraints from a generics map
+//                                   (repeatable); docs/packages/<assembly>.generics.json is read automatically
+//   --attributes-map <file>         Read [Obsolete], [Experimental], nullable types and attribute usages
+//                                   (repeatable); docs/packages/<assembly>.attributes.json is read automatically
+//   --source-ref <ref>              Commit or tag the source links point at (default: git HEAD)
+//   --source-repo <url>             GitHub repository the source links point at
+//   --api-version <version>         Version the pages are generated for, written to
+//                                   /api/<version>/ (default "next")
+//   --bundle                        Also write the version as one markdown and one HTML file,
+//                                   for reading offline
+//   --bundle-output <dir>           Where to write the bundle (default docs/bundle)
+//   --watch                         Keep running and regenerate when the packages change
+//   --strict                        Fail on element types the schema does not know, instead of warning
+//   --config <file>                 Docs config file (default docs/api-docs.config.json, if present)
+//   --projects-dir <dir>            Where the project files of the assemblies are (default src/)
+const { values: cliOptions } = parseArgs({
+  options: {
+    xml: { type: "string", multiple: true },
+    "api-version": { type: "string", default: "next" },
+    "source-map": { type: "string", multiple: true },
+    "generics-map": { type: "string", multiple: true },
+    "attributes-map": { type: "string", multiple: true },
+    "source-ref": { type: "string" },
+    "source-repo": {
+      type: "string",
+      default: "https://github.com/mjczone/dappermatic",
+    },
+    bundle: { type: "boolean", default: false },
+    "bundle-output": {
+      type: "string",
+      default: path.join(__dirname, "../bundle"),
+    },
+    watch: { type: "boolean", default: false },
+    strict: { type: "boolean", default: false },
+    config: { type: "string" },
+    "projects-dir": {
+      type: "string",
+      default: path.join(__dirname, "../../src"),
+    },
+    coverage: { type: "boolean", default: false },
+    "coverage-threshold": { type: "string", default: "90" },
+    "coverage-output": {
+      type: "string",
+      default: path.join(__dirname, "../coverage"),
+    },
+  },
+});
+
+configure({
+  version: cliOptions["api-version"],
+  config: cliOptions.config || null,
+  projectsDir: cliOptions["projects-dir"],
+  xml: cliOptions.xml || null,
+  sourceMaps: cliOptions["source-map"] || [],
+  genericsMaps: cliOptions["generics-map"] || [],
+  attributesMaps: cliOptions["attributes-map"] || [],
+  sourceRef: cliOptions["source-ref"] || null,
+  sourceRepo: cliOptions["source-repo"],
+  bundleDir: cliOptions.bundle ? cliOptions["bundle-output"] : null,
+  strict: cliOptions.strict,
+});
+
+// Run the generator, or only the coverage report
+if (cliOptions.coverage) {
+  const threshold = Number(cliOptions["coverage-threshold"]);
+  if (Number.isNaN(threshold)) {
+    throw new Error(
+      `Invalid --coverage-threshold: ${cliOptions["coverage-threshold"]}`
     );
   }
-  if (type.methods && type.methods.length > 0) {
-    tocSections.push(`[Methods](#methods) (${type.methods.length})`);
-  }
-  if (type.properties && type.properties.length > 0) {
-    tocSections.push(`[Properties](#properties) (${type.properties.length})`);
-  }
-  if (type.fields && type.fields.length > 0) {
-    tocSections.push(`[Fields](#fields) (${type.fields.length})`);
-  }
-  if (type.elementType === "Enum" && type.enumMembers) {
-    const enumCount = type.enumMembers.filter(
-      (m) => m.name !== "value__"
-    ).length;
-    tocSections.push(`[Enum Members](#enum-members) (${enumCount})`);
-  }
-
-  if (tocSections.length > 0) {
-    markdown += `## Contents\n\n`;
-    markdown += tocSections.join(" | ") + "\n\n";
-  }
-
-  // Constructors
-  if (type.constructors && type.constructors.length > 0) {
-    markdown += `## Constructors\n\n`;
-    for (const ctor of type.constructors) {
-      markdown += `### ${type.name}\n\n`;
-      if (ctor.summary) {
-        markdown += `${formatDocumentation(ctor.summary)}\n\n`;
-      }
-      // Create a method-like object for the constructor to use getMethodSignature
-      const ctorMethod = {
-        title: type.name,
-        name: type.name,
-        returnType: "", // Constructors don't have return types
-        commentId: ctor.commentId,
-        parameters: ctor.parameters || []
-      };
-
-      const ctorSignature = getMethodSignature(ctorMethod);
-      markdown += `\`\`\`csharp\n${ctorSignature}\n\`\`\`\n\n`;
-
-      if (ctor.parameters && ctor.parameters.length > 0) {
-        markdown += `#### Parameters\n\n`;
-
-        // Extract parameter types from commentId
-        const parameterTypes = extractParameterTypes(ctor.commentId);
-
-        ctor.parameters.forEach((param, index) => {
-          const paramType = parameterTypes[index] || param.type || "object";
-          const typeLink = createTypeLink(
-            paramType,
-            assemblyName,
-            documentedTypes
-          );
-          markdown += `- **${param.name}** (${typeLink}) - ${
-            escapeAngleBrackets(param.text) || "No description"
-          }\n`;
-        });
-        markdown += "\n";
-      }
-    }
-  }
-
-  // Methods
-  if (type.methods && type.methods.length > 0) {
-    markdown += `## Methods\n\n`;
-
-    // Add a quick reference table for methods
-    if (type.methods.length > 5) {
-      markdown += `| Method | Summary |\n`;
-      markdown += `|--------|------|\n`;
-      for (const method of type.methods) {
-        const methodName = method.title || method.name;
-        const summary = method.summary
-          ? formatTableText(method.summary).substring(0, 100) +
-            (method.summary.length > 100 ? "..." : "")
-          : "";
-        const anchor = methodName.toLowerCase().replace(/[^a-z0-9]/g, "-");
-        markdown += `| [${methodName}](#${anchor}) | ${summary} |\n`;
-      }
-      markdown += "\n---\n\n";
-    }
-
-    for (const method of type.methods) {
-      markdown += `### ${method.title || method.name}\n\n`;
-      if (method.summary) {
-        markdown += `${formatDocumentation(method.summary)}\n\n`;
-      }
-
-      markdown += `\`\`\`csharp\n${getMethodSignature(method)}\n\`\`\`\n\n`;
-
-      if (method.parameters && method.parameters.length > 0) {
-        markdown += `#### Parameters\n\n`;
-
-        // Extract parameter types from commentId
-        const parameterTypes = extractParameterTypes(method.commentId);
-
-        method.parameters.forEach((param, index) => {
-          const paramType = parameterTypes[index] || param.type || "object";
-          const typeLink = createTypeLink(
-            paramType,
-            assemblyName,
-            documentedTypes
-          );
-          markdown += `- **${param.name}** (${typeLink}) - ${
-            escapeAngleBrackets(param.text) || "No description"
-          }\n`;
-        });
-        markdown += "\n";
-      }
-
-      // Show return type information
-      if (method.returnType && method.returnType !== "void") {
-        markdown += `#### Returns\n\n`;
-        const returnType = formatTypeWithLinks(
-          method.returnType,
-          documentedTypes,
-          assemblyName,
-          false
-        );
-        const typeDisplay =
-          returnType.includes("[") && returnType.includes("](")
-            ? returnType
-            : `\`${returnType}\``;
-
-        if (method.returns) {
-          markdown += `**Type:** ${typeDisplay}\n\n${method.returns}\n\n`;
-        } else {
-          markdown += `**Type:** ${typeDisplay}\n\n`;
-        }
-      } else if (method.returns) {
-        markdown += `#### Returns\n\n${method.returns}\n\n`;
-      }
-    }
-  }
-
-  // Properties
-  if (type.properties && type.properties.length > 0) {
-    markdown += `## Properties\n\n`;
-    for (const prop of type.properties) {
-      markdown += `### ${prop.name}\n\n`;
-      if (prop.summary) {
-        markdown += `${formatDocumentation(prop.summary)}\n\n`;
-      }
-      const propType = prop.returnType || prop.type || "object";
-      const formattedType = formatTypeWithLinks(
-        propType,
-        documentedTypes,
-        assemblyName,
-        false
-      );
-      // If the result contains links, don't wrap in code; otherwise wrap in code
-      if (formattedType.includes("[") && formattedType.includes("](")) {
-        markdown += `**Type:** ${formattedType}\n\n`;
-      } else {
-        markdown += `**Type:** \`${formattedType}\`\n\n`;
-      }
-    }
-  }
-
-  // Fields
-  if (type.fields && type.fields.length > 0) {
-    markdown += `## Fields\n\n`;
-    for (const field of type.fields) {
-      markdown += `### ${field.name}\n\n`;
-      if (field.summary) {
-        markdown += `${formatDocumentation(field.summary)}\n\n`;
-      }
-      const fieldType = field.returnType || field.type || "object";
-      const formattedType = formatTypeWithLinks(
-        fieldType,
-        documentedTypes,
-        assemblyName,
-        false
-      );
-      // If the result contains links, don't wrap in code; otherwise wrap in code
-      if (formattedType.includes("[") && formattedType.includes("](")) {
-        markdown += `**Type:** ${formattedType}\n\n`;
-      } else {
-        markdown += `**Type:** \`${formattedType}\`\n\n`;
-      }
-    }
-  }
-
-  // Enum members
-  if (type.elementType === "Enum" && type.enumMembers) {
-    markdown += `## Enum Members\n\n`;
-    markdown += "| Name | Value | Description |\n";
-    markdown += "|------|-------|-------------|\n";
-
-    let enumValueIndex = 0;
-    for (const enumMember of type.enumMembers) {
-      // Skip the internal value__ member
-      if (enumMember.name === "value__") continue;
-
-      // The value might be explicitly set, or we infer it from position (0, 1, 2, etc.)
-      const value =
-        enumMember.value !== undefined && enumMember.value !== ""
-          ? enumMember.value
-          : enumValueIndex++;
-
-      const description = formatTableText(enumMember.summary || "");
-      markdown += `| ${enumMember.name} | ${value} | ${description} |\n`;
-    }
-    markdown += "\n";
-  }
-
-  return markdown;
-}
-
-// Generate markdown for a namespace
-function generateNamespaceMarkdown(namespace, assemblyName) {
-  let markdown = `# ${namespace.self.displayName}\n\n`;
-  markdown += `**Assembly:** [${assemblyName}](/api/${sanitizeUrlName(
-    assemblyName
-  )})\n\n`;
-
-  const typesByCategory = {
-    Classes: [],
-    Interfaces: [],
-    Structs: [],
-    Enums: [],
-    Delegates: [],
-  };
-
-  // Sort types by category
-  for (const type of namespace.types) {
-    if (type.payloadInfo.accessLevel !== "Public") continue;
-
-    switch (type.elementType) {
-      case "Class":
-        typesByCategory.Classes.push(type);
-        break;
-      case "Interface":
-        typesByCategory.Interfaces.push(type);
-        break;
-      case "Struct":
-        typesByCategory.Structs.push(type);
-        break;
-      case "Enum":
-        typesByCategory.Enums.push(type);
-        break;
-      case "Delegate":
-        typesByCategory.Delegates.push(type);
-        break;
-    }
-  }
-
-  // Generate sections for each category
-  for (const [category, types] of Object.entries(typesByCategory)) {
-    if (types.length === 0) continue;
-
-    markdown += `## ${category}\n\n`;
-    markdown += "| Name | Description |\n";
-    markdown += "|------|-------------|\n";
-
-    for (const type of types.sort((a, b) => a.name.localeCompare(b.name))) {
-      const typeUrl = `/api/${sanitizeUrlName(assemblyName)}/${sanitizeUrlName(
-        namespace.self.displayName
-      )}/${sanitizeUrlName(type.name)}`;
-      markdown += `| [${type.name}](${typeUrl}) | ${formatTableText(
-        type.summary || ""
-      )} |\n`;
-    }
-
-    markdown += "\n";
-  }
-
-  return markdown;
-}
-
-// Generate markdown for an assembly
-function generateAssemblyMarkdown(assemblyName, apiData) {
-  let markdown = `# ${assemblyName}\n\n`;
-
-  if (apiData.description) {
-    markdown += `${apiData.description}\n\n`;
-  }
-
-  markdown += `## Namespaces\n\n`;
-  markdown += "| Namespace | Description |\n";
-  markdown += "|----------|-------------|\n";
-
-  for (const namespace of apiData.data) {
-    const namespaceUrl = `/api/${sanitizeUrlName(
-      assemblyName
-    )}/${sanitizeUrlName(namespace.self.displayName)}`;
-    markdown += `| [${namespace.self.displayName}](${namespaceUrl}) | Contains ${namespace.types.length} public types |\n`;
-  }
-
-  markdown += "\n";
-
-  return markdown;
-}
 
-// Main function to generate API documentation
-function generateApiDocs() {
-  console.log("Generating API documentation...");
-
-  // Get all JSON files in packages directory
-  const jsonFiles = fs
-    .readdirSync(packagesDir)
-    .filter((file) => file.endsWith(".json"));
-
-  // First pass: collect all documented types
-  const documentedTypes = new Set();
-  for (const jsonFile of jsonFiles) {
-    const jsonPath = path.join(packagesDir, jsonFile);
-    const apiData = JSON.parse(fs.readFileSync(jsonPath, "utf-8"));
-
-    for (const namespace of apiData.data) {
-      for (const type of namespace.types) {
-        if (type.payloadInfo.accessLevel !== "Public") continue;
-        const typeKey = `${sanitizeUrlName(
-          namespace.self.displayName
-        )}/${sanitizeUrlName(type.name)}`;
-        documentedTypes.add(typeKey);
-      }
-    }
+  const outputDir = path.resolve(cliOptions["coverage-output"]);
+  const report = reportCoverage(outputDir, threshold);
+  if (report.percent < threshold) {
+    console.error(
+      `Documentation coverage ${report.percent.toFixed(1)}% is below the ${threshold}% threshold`
+    );
+    process.exitCode = 1;
   }
-
-  // Generate main API index
-  let apiIndexMarkdown = `# API Reference\n\n`;
-  apiIndexMarkdown += `This section contains the complete API reference for all assemblies.\n\n`;
-  apiIndexMarkdown += `## Assemblies\n\n`;
-  apiIndexMarkdown += "| Assembly | Description |\n";
-  apiIndexMarkdown += "|----------|-------------|\n";
-
-  const assemblyConfig = [];
-
-  // Sort JSON files in reverse order so MJCZone.DapperMatic comes before AspNetCore
-  const sortedJsonFiles = jsonFiles.sort((a, b) => b.localeCompare(a));
-
-  for (const jsonFile of sortedJsonFiles) {
-    const assemblyName = path.basename(jsonFile, ".json");
-    const jsonPath = path.join(packagesDir, jsonFile);
-    const apiData = JSON.parse(fs.readFileSync(jsonPath, "utf-8"));
-
-    // Add to index
-    apiIndexMarkdown += `| [${assemblyName}](/api/${sanitizeUrlName(
-      assemblyName
-    )}) | ${apiData.description || "No description available"} |\n`;
-
-    // Create assembly directory
-    const assemblyDir = path.join(apiOutputDir, sanitizeUrlName(assemblyName));
-    if (!fs.existsSync(assemblyDir)) {
-      fs.mkdirSync(assemblyDir, { recursive: true });
-    }
-
-    // Generate assembly index page
-    const assemblyMarkdown = generateAssemblyMarkdown(assemblyName, apiData);
-    fs.writeFileSync(path.join(assemblyDir, "index.md"), assemblyMarkdown);
-
-    // Add to config
-    const assemblyConfigItem = {
-      text: getDisplayName(assemblyName),
-      link: `/api/${sanitizeUrlName(assemblyName)}/`,
-      collapsed: true,
-      items: [],
-    };
-
-    // Generate pages for each namespace
-    for (const namespace of apiData.data) {
-      const namespaceName = namespace.self.displayName;
-      const namespaceDir = path.join(
-        assemblyDir,
-        sanitizeUrlName(namespaceName)
-      );
-
-      if (!fs.existsSync(namespaceDir)) {
-        fs.mkdirSync(namespaceDir, { recursive: true });
-      }
-
-      // Generate namespace index page
-      const namespaceMarkdown = generateNamespaceMarkdown(
-        namespace,
-        assemblyName
-      );
-      fs.writeFileSync(path.join(namespaceDir, "index.md"), namespaceMarkdown);
-
-      // Add namespace to config (without individual types)
-      const namespaceConfigItem = {
-        text: createDisplayName(namespaceName, assemblyName),
-        link: `/api/${sanitizeUrlName(assemblyName)}/${sanitizeUrlName(
-          namespaceName
-        )}/`,
-      };
-
-      // Generate pages for each type
-      for (const type of namespace.types) {
-        if (type.payloadInfo.accessLevel !== "Public") continue;
-
-        const typeMarkdown = generateTypeMarkdown(
-          type,
-          namespaceName,
-          assemblyName,
-          documentedTypes
-        );
-        const typeFileName = `${sanitizeUrlName(type.name)}.md`;
-        fs.writeFileSync(path.join(namespaceDir, typeFileName), typeMarkdown);
-      }
-
-      assemblyConfigItem.items.push(namespaceConfigItem);
-    }
-
-    assemblyConfig.push(assemblyConfigItem);
+} else {
+  generateApiDocs();
+  if (cliOptions.watch) {
+    watchPackages();
   }
-
-  // Write main API index
-  fs.writeFileSync(path.join(apiOutputDir, "index.md"), apiIndexMarkdown);
-
-  // Generate and write sidebar configuration
-  const sidebarConfig = {
-    "/api/": [
-      {
-        text: "API Reference",
-        items: [{ text: "Overview", link: "/api/" }, ...assemblyConfig],
-      },
-    ],
-  };
-
-  // Write sidebar config to JSON file
-  const sidebarConfigPath = path.join(__dirname, "../api-sidebar.json");
-  fs.writeFileSync(
-    sidebarConfigPath,
-    JSON.stringify(sidebarConfig, null, 2)
-  );
-
-  console.log(`\nAPI sidebar configuration written to: ${sidebarConfigPath}`);
-  console.log("Import this in your VitePress config.js:");
-  console.log("  import apiSidebar from './api-sidebar.json' with { type: 'json' };");
-  console.log("  // Then use: ...apiSidebar in your sidebar configuration");
-  console.log("\nAPI documentation generation complete!");
 }
-
-// Run the generator
-generateApiDocs();
@@ -0,0 +1,479 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import {
+  configure,
+  getParameterTypes,
+  getTypeDisplayName,
+  loadPackages,
+  registerDocumentedTypes,
+  sanitizeUrlName,
+} from "./api-docs-generator.js";
+
+// Builds docs/public/llms.txt and llms-full.txt (https://llmstxt.org) from the
+// guide pages, the Akov JSON in docs/packages and the REST API's openapi.json,
+// so they no longer have to be kept in sync with the code by hand.
+//
+// Which sections each file has, their order and their token budgets come from
+// docs/llms.config.json. Every section has a source ("guide", "api" or
+// "openapi") and a mode: "links" lists pages with a one-line description,
+// "full" includes the content. Items that do not fit the section's maxTokens,
+// or what is left of the file's maxTokens, are listed as links instead.
+//
+// Usage:
+//   node scripts/generate-llms-txt.js
+//     --config <file>     Section configuration (default docs/llms.config.json)
+//     --output <dir>      Where to write the files (default docs/public)
+//     --packages <dir>    Akov JSON to read (default docs/packages)
+//     --openapi <file>    OpenAPI document (default docs/api-browser/openapi.json)
+//     --api-version <v>   API version the .NET API links point at (default "next")
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const docsDir = path.join(__dirname, "..");
+const guideDir = path.join(docsDir, "guide");
+
+const { values: cliOptions } = parseArgs({
+  options: {
+    config: { type: "string", default: path.join(docsDir, "llms.config.json") },
+    output: { type: "string", default: path.join(docsDir, "public") },
+    packages: { type: "string", default: path.join(docsDir, "packages") },
+    openapi: {
+      type: "string",
+      default: path.join(docsDir, "api-browser/openapi.json"),
+    },
+    "api-version": { type: "string", default: "next" },
+  },
+});
+
+const config = JSON.parse(fs.readFileSync(cliOptions.config, "utf-8"));
+const siteUrl = config.siteUrl.replace(/\/$/, "");
+
+// Version folder of the pages generated by generate-api-docs.js
+const apiVersion = sanitizeUrlName(cliOptions["api-version"]);
+
+// Helper to estimate the token count of some text. About four characters per
+// token is close enough for English prose and code to size a budget.
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Helper to get the first sentence of a paragraph, used as a link description
+function getFirstSentence(text) {
+  const match = text.match(/^(.*?[.!?])(?:\s|$)/);
+  return (match ? match[1] : text).trim();
+}
+
+// Helper to expand the page list of a section ("web-api/*" -> every page in
+// guide/web-api, index first)
+function resolveGuidePages(patterns) {
+  const pages = [];
+  for (const pattern of patterns) {
+    if (!pattern.endsWith("/*")) {
+      pages.push(pattern);
+      continue;
+    }
+
+    const directory = pattern.slice(0, -2);
+    const files = fs
+      .readdirSync(path.join(guideDir, directory))
+      .filter((file) => file.endsWith(".md"))
+      .sort((a, b) =>
+        a === "index.md" ? -1 : b === "index.md" ? 1 : a.localeCompare(b)
+      );
+    pages.push(...files.map((file) => `${directory}/${file}`));
+  }
+  return pages;
+}
+
+// Helper to get the site URL of a guide page ("web-api/index.md" -> .../guide/web-api/)
+function getGuidePageUrl(page) {
+  return `${siteUrl}/guide/${page.replace(/(^|\/)index\.md$/, "$1").replace(/\.md$/, "")}`;
+}
+
+// Helper to make the links of a guide page absolute, so they work outside the site
+function resolveGuideLinks(markdown, page) {
+  const pageUrl = `${siteUrl}/guide/${page}`;
+  return markdown.replace(/\]\(((?:\.{1,2}\/|\/)[^)\s]*)\)/g, (_, link) => {
+    const url = new URL(link, pageUrl);
+    if (url.origin !== new URL(siteUrl).origin) return `](${link})`;
+    return `](${siteUrl}${url.pathname.replace(/\.md$/, "")}${url.hash})`;
+  });
+}
+
+// Helper to turn VitePress-only markdown into plain markdown and move the
+// page's headings below the section heading (# -> ###)
+function toPlainMarkdown(markdown) {
+  const lines = [];
+  let inFence = false;
+  for (const line of markdown.replace(/\r\n/g, "\n").split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      lines.push(line);
+      continue;
+    }
+    if (inFence) {
+      lines.push(line);
+      continue;
+    }
+
+    // ::: tip Title / ::: code-group / ::: -> keep only the title
+    const container = line.match(/^:::\s*([a-z-]*)\s*(.*)$/);
+    if (container) {
+      if (container[2]) lines.push(`**${container[2]}**`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,4})\s/);
+    lines.push(heading ? `##${line}` : line);
+  }
+
+  return lines
+    .join("\n")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Helper to read a guide page's title and first paragraph
+function readGuidePage(page) {
+  const markdown = fs.readFileSync(path.join(guideDir, page), "utf-8");
+  const titleMatch = markdown.match(/^#\s+(.+)$/m);
+  const title = titleMatch ? titleMatch[1].trim() : page;
+
+  const body = titleMatch
+    ? markdown.slice(titleMatch.index + titleMatch[0].length)
+    : markdown;
+  const paragraph = body
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .find((block) => block && !/^(#|:::|```|[-*|>]|<)/.test(block));
+
+  return { markdown, title, description: paragraph || "" };
+}
+
+// Helper to create the items of a guide section
+function getGuideItems(section) {
+  return resolveGuidePages(section.pages || []).map((page) => {
+    const { markdown, title, description } = readGuidePage(page);
+    const url = getGuidePageUrl(page);
+    const link = `- [${title}](${url})${
+      description ? `: ${getFirstSentence(description.replace(/\s+/g, " "))}` : ""
+    }\n`;
+
+    return {
+      link,
+      content:
+        section.mode === "full"
+          ? `### ${title}\n\nSource: ${url}\n\n${resolveGuideLinks(
+              toPlainMarkdown(markdown.replace(/^#\s+.+$/m, "")),
+              page
+            )}\n\n`
+          : link,
+    };
+  });
+}
+
+// Helper to load the packages the API pages are generated from, validated and
+// with their XML docs and sidecar maps, the same way generate-api-docs.js does
+let packages = null;
+function getPackages() {
+  if (packages) return packages;
+
+  if (!fs.existsSync(cliOptions.packages)) {
+    console.warn(`⚠️  Packages directory not found: ${cliOptions.packages}`);
+    packages = [];
+    return packages;
+  }
+
+  configure({ packagesDir: cliOptions.packages, version: apiVersion, quiet: true });
+  packages = loadPackages();
+  registerDocumentedTypes(packages);
+  return packages;
+}
+
+// Helper to turn XML doc comment markup into plain text:
+// <see cref="T:MJCZone.DapperMatic.Models.DmTable"/> -> DmTable
+function formatXmlText(text) {
+  if (!text) return "";
+
+  return text
+    .replace(/<see\s+langword="([^"]+)"\s*\/>/g, "$1")
+    .replace(/<(?:see|seealso)\s+cref="(?:[A-Z]:)?([^"]+)"\s*\/>/g, (_, cref) =>
+      cref
+        .replace(/\(.*$/, "")
+        .split(".")
+        .pop()
+        .replace(/`+\d+$/, "")
+    )
+    .replace(/<(?:paramref|typeparamref)\s+name="([^"]+)"\s*\/>/g, "$1")
+    .replace(/<c>([\s\S]*?)<\/c>/g, "`$1`")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Helper to format a member as a C#-like signature
+function formatMemberSignature(member, kind, type) {
+  if (kind === "property" || kind === "field") {
+    return `${member.returnType ? `${member.returnType} ` : ""}${member.name}`;
+  }
+
+  const name =
+    kind === "constructor"
+      ? type.name.replace(/`\d+$/, "")
+      : member.title || member.name;
+  const paramTypes = getParameterTypes(member);
+  const params = (member.parameters || [])
+    .map((p, index) => `${paramTypes[index]} ${p.name}`)
+    .join(", ");
+  const returnType =
+    kind === "method" && member.returnType ? `${member.returnType} ` : "";
+  return `${returnType}${name}(${params})`;
+}
+
+// Helper to get the generated page of a type or namespace
+function getApiUrl(assemblyName, namespaceName, typeName) {
+  let url = `${siteUrl}/api/${apiVersion}/${sanitizeUrlName(
+    assemblyName
+  )}/${sanitizeUrlName(namespaceName)}/`;
+  if (typeName) {
+    url = `${url.slice(0, -1)}/${sanitizeUrlName(typeName)}`;
+  }
+  return url;
+}
+
+// Helper to create the items of an API section: a namespace per item with
+// "links", a type per item with "full"
+function getApiItems(section) {
+  const items = [];
+  for (const { assemblyName, apiData } of getPackages()) {
+    if (section.assemblies && !section.assemblies.includes(assemblyName)) {
+      continue;
+    }
+
+    for (const namespace of apiData.data) {
+      const namespaceName = namespace.self.displayName;
+      const types = namespace.types.filter(
+        (type) => type.payloadInfo.accessLevel === "Public"
+      );
+      if (types.length === 0) continue;
+
+      const namespaceUrl = getApiUrl(assemblyName, namespaceName);
+      const namespaceLink = `- [${namespaceName}](${namespaceUrl}): ${types
+        .map((type) => getTypeDisplayName(type, namespaceName))
+        .join(", ")}\n`;
+
+      if (section.mode !== "full") {
+        items.push({ link: namespaceLink, content: namespaceLink });
+        continue;
+      }
+
+      for (const type of types) {
+        const url = getApiUrl(assemblyName, namespaceName, type.name);
+        const typeName = `${namespaceName}.${getTypeDisplayName(type, namespaceName)}`;
+        let content = `### ${typeName} (${type.elementType})\n\n`;
+        content += `Docs: ${url}\n\n`;
+        if (type.summary) {
+          content += `${formatXmlText(type.summary)}\n\n`;
+        }
+
+        const members = [
+          ...(type.constructors || []).map((m) => ["constructor", m]),
+          ...(type.properties || []).map((m) => ["property", m]),
+          ...(type.methods || []).map((m) => ["method", m]),
+          ...(type.fields || []).map((m) => ["field", m]),
+        ];
+        for (const [kind, member] of members) {
+          const summary = formatXmlText(member.summary);
+          content += `- \`${formatMemberSignature(member, kind, type)}\`${
+            summary ? `: ${summary}` : ""
+          }\n`;
+        }
+        for (const member of type.enumMembers || []) {
+          // Skip the internal value__ member
+          if (member.name === "value__") continue;
+
+          content += `- \`${member.name}\`${
+            member.summary ? `: ${formatXmlText(member.summary)}` : ""
+          }\n`;
+        }
+
+        items.push({
+          link: `- [${typeName}](${url})\n`,
+          content: `${content}\n`,
+        });
+      }
+    }
+  }
+  return items;
+}
+
+// Helper to get the schema name of a request or response body
+function getBodySchemaName(body) {
+  const schema = body && body.content && Object.values(body.content)[0]?.schema;
+  if (!schema) return null;
+  if (schema.$ref) return schema.$ref.split("/").pop();
+  if (schema.type === "array" && schema.items?.$ref) {
+    return `${schema.items.$ref.split("/").pop()}[]`;
+  }
+  return schema.type || null;
+}
+
+// Helper to create the items of an OpenAPI section, one per operation
+function getOpenApiItems(section) {
+  if (!fs.existsSync(cliOptions.openapi)) {
+    console.warn(`⚠️  OpenAPI document not found: ${cliOptions.openapi}`);
+    return [];
+  }
+
+  const spec = JSON.parse(fs.readFileSync(cliOptions.openapi, "utf-8"));
+  const items = [];
+  for (const [route, operations] of Object.entries(spec.paths || {})) {
+    for (const [method, operation] of Object.entries(operations)) {
+      if (!operation || typeof operation !== "object" || !operation.responses) {
+        continue;
+      }
+
+      const title = `${method.toUpperCase()} ${route}`;
+      const link = `- \`${title}\`${
+        operation.summary ? `: ${operation.summary}` : ""
+      }\n`;
+      if (section.mode !== "full") {
+        items.push({ link, content: link });
+        continue;
+      }
+
+      let content = `### ${title}\n\n`;
+      if (operation.summary) content += `${operation.summary}\n\n`;
+      if (operation.operationId) content += `Operation: ${operation.operationId}\n\n`;
+      for (const parameter of operation.parameters || []) {
+        content += `- ${parameter.in} \`${parameter.name}\`${
+          parameter.required ? " (required)" : ""
+        }${parameter.schema?.type ? `: ${parameter.schema.type}` : ""}\n`;
+      }
+      const requestSchema = getBodySchemaName(operation.requestBody);
+      if (requestSchema) {
+        content += `- body: ${requestSchema}\n`;
+      }
+      for (const [status, response] of Object.entries(operation.responses)) {
+        const schema = getBodySchemaName(response);
+        content += `- ${status} ${response.description || ""}${
+          schema ? `: ${schema}` : ""
+        }\n`;
+      }
+
+      items.push({ link, content: `${content}\n` });
+    }
+  }
+  return items;
+}
+
+const sectionSources = {
+  guide: getGuideItems,
+  api: getApiItems,
+  openapi: getOpenApiItems,
+};
+
+// Helper to render a section within a token budget. Items that do not fit are
+// listed as links, as long as those fit too.
+function renderSection(section, budget) {
+  const getItems = sectionSources[section.source];
+  if (!getItems) {
+    throw new Error(`Unknown llms.txt section source: ${section.source}`);
+  }
+
+  const items = getItems(section);
+  let text = `## ${section.title}\n\n`;
+  const omitted = [];
+  for (const item of items) {
+    if (estimateTokens(text + item.content) <= budget) {
+      text += item.content;
+    } else {
+      omitted.push(item);
+    }
+  }
+
+  if (omitted.length > 0) {
+    const heading = `\nNot included to stay within the token budget:\n\n`;
+    let links = "";
+    let listed = 0;
+    for (const item of omitted) {
+      if (estimateTokens(text + heading + links + item.link) > budget) break;
+      links += item.link;
+      listed++;
+    }
+    if (listed > 0) {
+      text += heading + links;
+    }
+    if (listed < omitted.length) {
+      text += `\n${omitted.length - listed} more not included to stay within the token budget.\n`;
+    }
+  }
+
+  return {
+    text: `${text.trimEnd()}\n\n`,
+    included: items.length - omitted.length,
+    total: items.length,
+  };
+}
+
+// Helper to render the title, summary and links every file starts with
+function renderHeader() {
+  let text = `# ${config.title}\n\n`;
+  if (config.summary) text += `> ${config.summary}\n\n`;
+  for (const paragraph of config.description || []) {
+    text += `${paragraph}\n\n`;
+  }
+  if (config.links && config.links.length > 0) {
+    text += "## Quick Links\n\n";
+    for (const link of config.links) {
+      text += `- ${link.title}: ${link.url}\n`;
+    }
+    text += "\n";
+  }
+  return text;
+}
+
+function generateLlmsTxt() {
+  console.log("Generating llms.txt files...");
+
+  if (!fs.existsSync(cliOptions.output)) {
+    fs.mkdirSync(cliOptions.output, { recursive: true });
+  }
+
+  for (const file of config.files) {
+    let text = renderHeader();
+    for (const section of file.sections) {
+      const remaining = (file.maxTokens || Infinity) - estimateTokens(text);
+      const budget = Math.min(section.maxTokens || Infinity, remaining);
+      if (budget <= 0) {
+        console.warn(`⚠️  ${file.name}: no token budget left for "${section.title}"`);
+        continue;
+      }
+
+      const rendered = renderSection(section, budget);
+      text += rendered.text;
+      if (rendered.included < rendered.total) {
+        console.warn(
+          `⚠️  ${file.name}: "${section.title}" includes ${rendered.included} of ${rendered.total} items`
+        );
+      }
+    }
+
+    const outputPath = path.join(cliOptions.output, file.name);
+    fs.writeFileSync(outputPath, `${text.trimEnd()}\n`);
+    console.log(`${outputPath} (~${estimateTokens(text)} tokens)`);
+  }
+
+  console.log("llms.txt generation complete!");
+}
+
+generateLlmsTxt();
@@ -0,0 +1,263 @@
+import fs from "fs";
+import path from "path";
+import { decodeEntities, getHeadingText, slugify } from "./markdown-renderer.js";
+
+// Checks the internal links of the site before VitePress builds it: every
+// link in the guide pages, the generated /api/ pages, the sidebar and the nav
+// has to point at an existing page, and every #anchor at a heading (or
+// explicit id) on that page. Links are resolved the way VitePress resolves
+// them, so a page that passes here also passes VitePress's dead link check.
+//
+// The API generator marks crefs it could not link with an
+// <!-- unresolved cref: ... --> comment; these are reported as warnings, or
+// as errors in strict mode. External links and assets are not checked.
+// The command line is in check-links.js.
+
+// Folders that hold no pages: srcExclude in .vitepress/config.js, plus the
+// folders VitePress never builds pages from
+const excludedDirs = new Set([
+  ".vitepress",
+  "bundle",
+  "coverage",
+  "node_modules",
+  "packages",
+  "public",
+  "scripts",
+]);
+
+// Helper to list the markdown pages of the site, relative to docsDir
+function findPages(docsDir, directory = docsDir, pages = []) {
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const filePath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!excludedDirs.has(entry.name) || directory !== docsDir) {
+        findPages(docsDir, filePath, pages);
+      }
+    } else if (entry.name.endsWith(".md")) {
+      pages.push(path.relative(docsDir, filePath).split(path.sep).join("/"));
+    }
+  }
+  return pages;
+}
+
+// Helper to blank out fenced code blocks, keeping line numbers, so headings
+// and links in code samples are not picked up
+function maskCodeBlocks(markdown) {
+  let inFence = null;
+  return markdown
+    .split("\n")
+    .map((line) => {
+      const fence = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fence && (!inFence || fence[1].startsWith(inFence))) {
+        inFence = inFence ? null : fence[1];
+        return "";
+      }
+      return inFence ? "" : line;
+    })
+    .join("\n");
+}
+
+// Helper to blank out code blocks and inline code
+function maskCode(markdown) {
+  return maskCodeBlocks(markdown).replace(/(`+)(?:(?!\1)[^\n])+?\1/g, (code) =>
+    " ".repeat(code.length)
+  );
+}
+
+// Helper to blank out the frontmatter, keeping line numbers
+function maskFrontmatter(markdown) {
+  const match = markdown.match(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/);
+  return match
+    ? match[0].replace(/[^\n]/g, "") + markdown.slice(match[0].length)
+    : markdown;
+}
+
+// Helper to collect the anchors of a page: heading slugs (with -1, -2, ...
+// for repeated headings), {#custom} heading ids and id attributes
+function getAnchors(markdown) {
+  const anchors = new Set();
+  const text = maskCodeBlocks(maskFrontmatter(markdown));
+
+  for (const match of text.matchAll(/^#{1,6}[ \t]+(.+?)[ \t#]*$/gm)) {
+    const customId = match[1].match(/\s*\{#([^}\s]+)\}$/);
+    if (customId) {
+      anchors.add(customId[1]);
+      continue;
+    }
+
+    const slug = slugify(getHeadingText(match[1]));
+    let anchor = slug;
+    for (let index = 1; anchors.has(anchor); index++) {
+      anchor = `${slug}-${index}`;
+    }
+    anchors.add(anchor);
+  }
+
+  for (const match of maskCode(text).matchAll(/\s(?:id|name)="([^"]+)"/g)) {
+    anchors.add(match[1]);
+  }
+  return anchors;
+}
+
+// Helper to get the line number of an offset
+function getLineNumber(text, offset) {
+  return text.slice(0, offset).split("\n").length;
+}
+
+// Helper to collect the links of a page as { url, line }: markdown links and
+// reference definitions, href attributes, the hrefs in the JSON props of the
+// signature components, and link: entries of the frontmatter
+function getPageLinks(markdown) {
+  const links = [];
+  const frontmatter = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (frontmatter) {
+    for (const match of frontmatter[1].matchAll(/^\s*-?\s*link:\s*["']?([^"'\s]+)/gm)) {
+      links.push({ url: match[1], line: getLineNumber(frontmatter[1], match.index) + 1 });
+    }
+  }
+
+  const text = maskCode(maskFrontmatter(markdown));
+  const patterns = [
+    /!?\[(?:[^\[\]]|\[[^\]]*\])*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g,
+    /^\s*\[[^\]]+\]:\s*<?([^\s>]+)/gm,
+    /\shref="([^"]+)"/g,
+  ];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      if (match[0].startsWith("!")) continue;
+      links.push({ url: decodeEntities(match[1]), line: getLineNumber(text, match.index) });
+    }
+  }
+
+  // The props are JSON with <, >, & and ' written as \u escapes
+  for (const match of text.matchAll(/"href":("(?:[^"\\]|\\.)*")/g)) {
+    links.push({ url: JSON.parse(match[1]), line: getLineNumber(text, match.index) });
+  }
+  return links;
+}
+
+// Helper to collect the unresolved cref markers of a page as { cref, line }
+function getUnresolvedCrefs(markdown) {
+  const text = maskCode(markdown);
+  return [...text.matchAll(/<!-- unresolved cref: (\S+) -->/g)].map((match) => ({
+    cref: match[1],
+    line: getLineNumber(text, match.index),
+  }));
+}
+
+// Helper to collect the links of the sidebar, versions manifest and nav, as
+// { source, url, line }
+function getConfigLinks(docsDir) {
+  const links = [];
+  function addJsonLinks(value, source) {
+    if (Array.isArray(value)) {
+      value.forEach((item) => addJsonLinks(item, source));
+    } else if (value && typeof value === "object") {
+      for (const [key, item] of Object.entries(value)) {
+        if (key === "link" && typeof item === "string") {
+          links.push({ source, url: item, line: null });
+        } else {
+          addJsonLinks(item, source);
+        }
+      }
+    }
+  }
+  for (const file of ["api-sidebar.json", "api-versions.json"]) {
+    const filePath = path.join(docsDir, file);
+    if (fs.existsSync(filePath)) {
+      addJsonLinks(JSON.parse(fs.readFileSync(filePath, "utf-8")), file);
+    }
+  }
+
+  const configPath = path.join(docsDir, ".vitepress/config.js");
+  const config = fs.readFileSync(configPath, "utf-8");
+  for (const match of config.matchAll(/\blink:\s*["'](\/[^"']*)["']/g)) {
+    links.push({
+      source: ".vitepress/config.js",
+      url: match[1],
+      line: getLineNumber(config, match.index),
+    });
+  }
+  return links;
+}
+
+// Resolve a link from a page (or from the site root) to the page file and
+// anchor it points at. Returns null for links that are not checked: external
+// URLs and assets such as /logo.png.
+function resolveLink(url, fromPage) {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return null;
+
+  const [, linkPath, encodedAnchor] = url.match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+  const anchor = encodedAnchor ? decodeURIComponent(encodedAnchor) : null;
+  let pagePath = linkPath;
+  if (!pagePath) {
+    return fromPage ? { page: fromPage, anchor } : null;
+  }
+  if (/\.[a-z0-9]+$/i.test(pagePath) && !/\.(md|html)$/i.test(pagePath)) return null;
+
+  pagePath = pagePath.replace(/\.(md|html)$/i, "");
+  if (pagePath.endsWith("/")) pagePath += "index";
+  const resolved = pagePath.startsWith("/")
+    ? pagePath.slice(1)
+    : path.posix.join(path.posix.dirname(fromPage || ""), pagePath);
+
+  return { page: `${decodeURIComponent(resolved)}.md`, anchor };
+}
+
+// Check every link of the site in docsDir. Returns the number of links
+// checked, the pages, and the errors and warnings as "page:line: message".
+// With strict, unresolved crefs are errors instead of warnings.
+function checkLinks({ docsDir, strict = false }) {
+  const pages = findPages(docsDir);
+  const pageSet = new Set(pages);
+  const contents = new Map(
+    pages.map((page) => [page, fs.readFileSync(path.join(docsDir, page), "utf-8")])
+  );
+  const anchorCache = new Map();
+  function getPageAnchors(page) {
+    if (!anchorCache.has(page)) {
+      anchorCache.set(page, getAnchors(contents.get(page)));
+    }
+    return anchorCache.get(page);
+  }
+
+  const errors = [];
+  const warnings = [];
+  let checked = 0;
+  function checkLink(url, fromPage, location) {
+    const target = resolveLink(url, fromPage);
+    if (!target) return;
+
+    checked++;
+    if (!pageSet.has(target.page)) {
+      errors.push(`${location}: ${url} (no page ${target.page})`);
+    } else if (target.anchor && !getPageAnchors(target.page).has(target.anchor)) {
+      errors.push(`${location}: ${url} (no heading #${target.anchor} on ${target.page})`);
+    }
+  }
+
+  for (const page of pages) {
+    const markdown = contents.get(page);
+    for (const { url, line } of getPageLinks(markdown).sort((a, b) => a.line - b.line)) {
+      checkLink(url, page, `${page}:${line}`);
+    }
+    for (const { cref, line } of getUnresolvedCrefs(markdown)) {
+      (strict ? errors : warnings).push(`${page}:${line}: unresolved cref ${cref}`);
+    }
+  }
+  for (const { source, url, line } of getConfigLinks(docsDir)) {
+    checkLink(url, null, line ? `${source}:${line}` : source);
+  }
+
+  return { checked, pages, errors, warnings };
+}
+
+export {
+  checkLinks,
+  findPages,
+  getAnchors,
+  getConfigLinks,
+  getPageLinks,
+  getUnresolvedCrefs,
+  resolveLink,
+};
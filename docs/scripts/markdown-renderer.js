@@ -0,0 +1,297 @@
+// Renders the markdown the API generator writes as HTML, for the offline
+// bundle (api-bundle.js), and computes heading anchors the way VitePress
+// does, for the bundle and link-checker.js. Supported markdown:
+//
+//   ATX headings, with an optional {#custom-id}
+//   paragraphs, fenced code blocks, horizontal rules and blockquotes
+//   bulleted and numbered lists, nested by indentation
+//   tables with :--- alignment
+//   `code`, [links](url), ![images](url), **bold**, *italic*, _italic_ and ~~struck~~
+//   backslash escapes, and HTML, which is passed through
+//
+// This is not a general markdown parser: it covers what the templates and
+// formatDocumentation() produce, without pulling a parser into the scripts.
+
+// Slug of a heading, as VitePress creates it (slugify of @mdit-vue/shared)
+function slugify(text) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u0000-\u001f]/g, "")
+    .replace(/[\s~`!@#$%^&*()\-_+=[\]{}|\\;:"'“”‘’<>,.?/]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .replace(/^(\d)/, "_$1")
+    .toLowerCase();
+}
+
+// Helper to decode the HTML entities the generator writes
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Helper to get the text of a heading as markdown-it renders it: the text of
+// links, code and emphasis, without images and HTML tags
+function getHeadingText(heading) {
+  return decodeEntities(
+    heading
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/<[^>]+>/g, "")
+      .replace(/`+/g, "")
+      .replace(/(\*\*|__|~~|\*)/g, "")
+      .replace(/\\([\\`*_{}[\]()#+\-.!<>~|])/g, "$1")
+      .trim()
+  );
+}
+
+// Helper to escape text for HTML
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Render the inline markdown of a paragraph, heading or table cell
+function renderInline(text) {
+  // Code spans, escapes and link tags are set aside, so emphasis is not
+  // looked for inside them
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+  let html = text
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+      hold(`<code>${escapeHtml(code.trim())}</code>`)
+    )
+    .replace(/\\([\\`*_{}[\]()#+\-.!|<>~])/g, (_, char) => hold(escapeHtml(char)))
+    .replace(
+      /(!?)\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g,
+      (_, image, label, url, title) => {
+        const titleAttribute = title ? ` title="${escapeHtml(title)}"` : "";
+        if (image) {
+          return hold(
+            `<img src="${escapeHtml(url)}" alt="${escapeHtml(label)}"${titleAttribute}>`
+          );
+        }
+        return `${hold(`<a href="${escapeHtml(url)}"${titleAttribute}>`)}${label}${hold("</a>")}`;
+      }
+    );
+
+  html = html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+    .replace(/(^|[^\w*])\*([^\s*](?:[^*]*?[^\s*])?)\*(?![\w*])/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+    .replace(/(?: {2,}|\\)\n/g, "<br>\n");
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => held[Number(index)]);
+}
+
+const fencePattern = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const headingPattern = /^ {0,3}(#{1,6})[ \t]+(.*?)[ \t#]*$/;
+const rulePattern = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const quotePattern = /^ {0,3}>/;
+const listItemPattern = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const tableDelimiterPattern = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const htmlBlockPattern =
+  /^ {0,3}<\/?(?:address|article|aside|blockquote|details|div|dl|figure|footer|h[1-6]|header|hr|nav|ol|p|pre|section|summary|table|ul)(?:[\s>/]|$)/i;
+
+// Helper to tell whether a line starts a block other than a paragraph
+function startsBlock(line) {
+  return (
+    fencePattern.test(line) ||
+    headingPattern.test(line) ||
+    rulePattern.test(line) ||
+    quotePattern.test(line) ||
+    listItemPattern.test(line) ||
+    htmlBlockPattern.test(line)
+  );
+}
+
+// Helper to split a table row into its cells; \| is a pipe inside a cell
+function splitTableRow(line) {
+  const row = line.trim().replace(/^\|/, "").replace(/(^|[^\\])\|$/, "$1");
+  return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+// Helper to render a table from its header, delimiter and body lines
+function renderTable(header, delimiter, rows) {
+  const alignments = splitTableRow(delimiter).map((cell) => {
+    if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+    if (cell.endsWith(":")) return "right";
+    if (cell.startsWith(":")) return "left";
+    return null;
+  });
+  const renderRow = (cells, tag) =>
+    `<tr>${alignments
+      .map((alignment, index) => {
+        const style = alignment ? ` style="text-align: ${alignment}"` : "";
+        return `<${tag}${style}>${renderInline(cells[index] || "")}</${tag}>`;
+      })
+      .join("")}</tr>`;
+
+  const body = rows.map((row) => renderRow(splitTableRow(row), "td"));
+  return [
+    "<table>",
+    `<thead>${renderRow(splitTableRow(header), "th")}</thead>`,
+    ...(body.length > 0 ? ["<tbody>", ...body, "</tbody>"] : []),
+    "</table>",
+  ].join("\n");
+}
+
+// Helper to read a list starting at lines[start]. Returns the HTML and the
+// index of the first line after the list.
+function renderList(lines, start) {
+  const first = lines[start].match(listItemPattern);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let index = start;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const item = line.match(listItemPattern);
+    const current = items[items.length - 1];
+    if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+      items.push({
+        lines: [item[3] || ""],
+        contentIndent: indent + item[2].length + 1,
+      });
+    } else if (!line.trim()) {
+      // A blank line continues the list only if the list goes on after it
+      const next = lines.slice(index + 1).find((candidate) => candidate.trim());
+      const nextItem = next && next.match(listItemPattern);
+      const continues =
+        next &&
+        (next.match(/^ */)[0].length >= current.contentIndent ||
+          (nextItem && nextItem[1].length === indent && /\d/.test(nextItem[2]) === ordered));
+      if (!continues) break;
+      current.lines.push("");
+      loose = true;
+    } else if (line.match(/^ */)[0].length >= current.contentIndent) {
+      current.lines.push(line.slice(current.contentIndent));
+    } else if (current.lines[current.lines.length - 1] !== "" && !startsBlock(line)) {
+      // Lazy continuation of the item's paragraph
+      current.lines.push(line.trim());
+    } else {
+      break;
+    }
+    index++;
+  }
+
+  const tag = ordered ? "ol" : "ul";
+  const number = ordered ? parseInt(first[2], 10) : 1;
+  const startAttribute = ordered && number !== 1 ? ` start="${number}"` : "";
+  const html = items.map(({ lines: itemLines }) => {
+    let content = renderBlocks(itemLines);
+    if (!loose) {
+      content = content.replace(/<p>([\s\S]*?)<\/p>/g, "$1");
+    }
+    return `<li>${content}</li>`;
+  });
+  return { html: `<${tag}${startAttribute}>\n${html.join("\n")}\n</${tag}>`, next: index };
+}
+
+// Render a list of markdown lines as HTML blocks
+function renderBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(fencePattern);
+    if (fence) {
+      const code = [];
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      for (index++; index < lines.length && !closing.test(lines[index]); index++) {
+        code.push(lines[index]);
+      }
+      index++;
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : "";
+      blocks.push(`<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(headingPattern);
+    if (heading) {
+      const level = heading[1].length;
+      const customId = heading[2].match(/\s*\{#([^}\s]+)\}$/);
+      const text = customId ? heading[2].slice(0, customId.index) : heading[2];
+      const id = customId ? ` id="${escapeHtml(customId[1])}"` : "";
+      blocks.push(`<h${level}${id}>${renderInline(text)}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (rulePattern.test(line)) {
+      blocks.push("<hr>");
+      index++;
+      continue;
+    }
+
+    if (quotePattern.test(line)) {
+      const quoted = [];
+      for (; index < lines.length && quotePattern.test(lines[index]); index++) {
+        quoted.push(lines[index].replace(/^ {0,3}> ?/, ""));
+      }
+      blocks.push(`<blockquote>\n${renderBlocks(quoted)}\n</blockquote>`);
+      continue;
+    }
+
+    if (line.includes("|") && tableDelimiterPattern.test(lines[index + 1] || "")) {
+      const rows = [];
+      for (index += 2; index < lines.length && lines[index].includes("|"); index++) {
+        rows.push(lines[index]);
+      }
+      blocks.push(renderTable(line, lines[index - rows.length - 1], rows));
+      continue;
+    }
+
+    if (listItemPattern.test(line) && line.match(listItemPattern)[3] !== undefined) {
+      const list = renderList(lines, index);
+      blocks.push(list.html);
+      index = list.next;
+      continue;
+    }
+
+    if (htmlBlockPattern.test(line)) {
+      const html = [];
+      for (; index < lines.length && lines[index].trim(); index++) {
+        html.push(lines[index]);
+      }
+      blocks.push(html.join("\n"));
+      continue;
+    }
+
+    const paragraph = [line];
+    for (index++; index < lines.length; index++) {
+      const next = lines[index];
+      if (!next.trim() || startsBlock(next)) break;
+      paragraph.push(next);
+    }
+    blocks.push(`<p>${renderInline(paragraph.map((text) => text.trimStart()).join("\n"))}</p>`);
+  }
+
+  return blocks.join("\n");
+}
+
+// Render markdown as HTML
+function renderMarkdown(markdown) {
+  return renderBlocks(markdown.replace(/\r\n/g, "\n").split("\n"));
+}
+
+export { decodeEntities, escapeHtml, getHeadingText, renderMarkdown, slugify };
@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Validates the Akov NetDocsProcessor JSON in docs/packages against
+// akov-package.schema.json before any page is generated, so a change in the
+// JSON shape is reported with the file, JSON path and .NET type it affects
+// instead of a TypeError halfway through the generator.
+//
+// Only the JSON Schema keywords the schema uses are supported: type, required,
+// properties, items, enum, $ref (to #/definitions), allOf and anyOf. The
+// schema's "x-strict-enum" keyword marks enums whose unknown values are only
+// warnings unless strict validation is requested.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const schemaPath = path.join(__dirname, "akov-package.schema.json");
+let packageSchema = null;
+
+// Helper to load the schema once
+function getPackageSchema() {
+  if (!packageSchema) {
+    packageSchema = JSON.parse(fs.readFileSync(schemaPath, "utf-8"));
+  }
+  return packageSchema;
+}
+
+// Helper to get the JSON Schema type name of a value
+function getJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Helper to resolve a "#/definitions/name" reference
+function resolveRef(ref) {
+  const match = ref.match(/^#\/definitions\/(.+)$/);
+  const schema = match && getPackageSchema().definitions[match[1]];
+  if (!schema) {
+    throw new Error(`Unsupported $ref in ${schemaPath}: ${ref}`);
+  }
+  return schema;
+}
+
+// Check a value against a schema, adding { path, message, strictOnly } issues
+function validateValue(value, schema, valuePath, issues) {
+  if (schema.$ref) {
+    validateValue(value, resolveRef(schema.$ref), valuePath, issues);
+    return;
+  }
+
+  for (const subschema of schema.allOf || []) {
+    validateValue(value, subschema, valuePath, issues);
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((subschema) => {
+      const subIssues = [];
+      validateValue(value, subschema, valuePath, subIssues);
+      return subIssues;
+    });
+    if (!results.some((subIssues) => subIssues.length === 0)) {
+      // Report the alternative that came closest to matching
+      issues.push(...results.sort((a, b) => a.length - b.length)[0]);
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = getJsonType(value);
+    const matches = types.some(
+      (type) => type === actualType || (type === "number" && actualType === "integer")
+    );
+    if (!matches) {
+      issues.push({
+        path: valuePath,
+        message: `expected ${types.join(" or ")}, found ${
+          value === undefined ? "nothing" : actualType
+        }`,
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({
+      path: valuePath,
+      message: `unknown value ${JSON.stringify(value)} (expected one of ${schema.enum.join(", ")})`,
+      strictOnly: Boolean(schema["x-strict-enum"]),
+    });
+  }
+
+  if (getJsonType(value) === "object") {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        issues.push({
+          path: [...valuePath, name],
+          message: "required field is missing",
+        });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        validateValue(value[name], propertySchema, [...valuePath, name], issues);
+      }
+    }
+  }
+
+  if (getJsonType(value) === "array" && schema.items) {
+    value.forEach((item, index) =>
+      validateValue(item, schema.items, [...valuePath, index], issues)
+    );
+  }
+}
+
+// Helper to format a path as $.data[3].types[12].payloadInfo.accessLevel
+function formatJsonPath(valuePath) {
+  return valuePath.reduce(
+    (text, key) => (typeof key === "number" ? `${text}[${key}]` : `${text}.${key}`),
+    "$"
+  );
+}
+
+// Properties of a type that hold its members
+const memberKinds = new Set([
+  "constructors",
+  "methods",
+  "properties",
+  "fields",
+  "events",
+  "enumMembers",
+]);
+
+// Helper to name the namespace, type and member a path points into
+function describeJsonPath(data, valuePath) {
+  let node = data;
+  let namespaceName = null;
+  let typeName = null;
+  let memberName = null;
+  for (let i = 0; i < valuePath.length && node && typeof node === "object"; i++) {
+    node = node[valuePath[i]];
+    const parentKey = valuePath[i - 1];
+    if (!node || typeof node !== "object") break;
+
+    if (parentKey === "data") {
+      namespaceName = node.self?.displayName || null;
+    } else if (parentKey === "types") {
+      typeName = node.name || node.commentId || null;
+    } else if (typeName && memberKinds.has(parentKey)) {
+      memberName = node.name || node.commentId || null;
+    }
+  }
+
+  if (!typeName) {
+    return namespaceName ? `namespace ${namespaceName}` : null;
+  }
+  const fullTypeName = namespaceName ? `${namespaceName}.${typeName}` : typeName;
+  return memberName
+    ? `type ${fullTypeName}, member ${memberName}`
+    : `type ${fullTypeName}`;
+}
+
+// Validate the data of one packages file. Returns { errors, warnings } as
+// messages naming the file, the JSON path and the .NET type involved.
+// With strict, unknown element types are errors instead of warnings.
+function validatePackage(data, fileName, options = {}) {
+  const issues = [];
+  validateValue(data, getPackageSchema(), [], issues);
+
+  const result = { errors: [], warnings: [] };
+  for (const issue of issues) {
+    const context = describeJsonPath(data, issue.path);
+    const message = `${fileName}: ${formatJsonPath(issue.path)}: ${issue.message}${
+      context ? ` (${context})` : ""
+    }`;
+    if (issue.strictOnly && !options.strict) {
+      result.warnings.push(message);
+    } else {
+      result.errors.push(message);
+    }
+  }
+  return result;
+}
+
+export { validatePackage };
@@ -0,0 +1,190 @@
+import fs from "fs";
+import path from "path";
+
+// A small Mustache-style renderer for the API page templates in
+// scripts/templates/. Supported tags:
+//
+//   {{name}}              value of name (dotted names such as {{type.name}} and
+//                         {{items.length}} work; {{.}} is the current item)
+//   {{#name}}...{{/name}} renders once per item of an array, once with the value
+//                         as context if it is truthy, or not at all
+//   {{^name}}...{{/name}} renders if name is falsy or an empty array
+//   {{> partial}}         renders partials/<partial>.md with the current context
+//   {{! comment}}         ignored
+//
+// Values are inserted as-is, since the templates produce markdown. A section,
+// partial or comment tag on a line of its own removes the whole line, so
+// templates can be laid out one tag per line without leaving blank lines behind.
+// Names are looked up in the current context first and then in the enclosing
+// ones, as in Mustache.
+
+const tagPattern = /\{\{([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+
+// Helper to split a template into text and tag tokens, dropping the lines of
+// standalone section, partial and comment tags
+function tokenize(template, templateName) {
+  const tokens = [];
+  let position = 0;
+  let match;
+
+  tagPattern.lastIndex = 0;
+  while ((match = tagPattern.exec(template))) {
+    const [tag, kind, name] = match;
+    let textEnd = match.index;
+    let tagEnd = match.index + tag.length;
+
+    if (kind) {
+      const lineStart = template.lastIndexOf("\n", match.index - 1) + 1;
+      const newline = template.indexOf("\n", tagEnd);
+      const lineEnd = newline === -1 ? template.length : newline + 1;
+      if (
+        lineStart >= position &&
+        template.slice(lineStart, match.index).trim() === "" &&
+        template.slice(tagEnd, lineEnd).trim() === ""
+      ) {
+        textEnd = lineStart;
+        tagEnd = lineEnd;
+      }
+    }
+
+    if (textEnd > position) {
+      tokens.push({ kind: "text", text: template.slice(position, textEnd) });
+    }
+    if (!name) {
+      throw new Error(`${templateName}: empty tag ${tag}`);
+    }
+    if (kind !== "!") {
+      tokens.push({ kind: kind || "name", name });
+    }
+    position = tagEnd;
+    tagPattern.lastIndex = tagEnd;
+  }
+
+  if (position < template.length) {
+    tokens.push({ kind: "text", text: template.slice(position) });
+  }
+  return tokens;
+}
+
+// Parse a template into a tree of text, name, section and partial nodes
+function parseTemplate(template, templateName) {
+  const root = { children: [] };
+  const open = [root];
+
+  for (const token of tokenize(template, templateName)) {
+    const parent = open[open.length - 1];
+    if (token.kind === "#" || token.kind === "^") {
+      const section = { ...token, children: [] };
+      parent.children.push(section);
+      open.push(section);
+    } else if (token.kind === "/") {
+      if (open.length === 1 || parent.name !== token.name) {
+        throw new Error(
+          `${templateName}: unexpected {{/${token.name}}}${
+            open.length > 1 ? ` (open section is ${parent.name})` : ""
+          }`
+        );
+      }
+      open.pop();
+    } else {
+      parent.children.push(token);
+    }
+  }
+
+  if (open.length > 1) {
+    throw new Error(
+      `${templateName}: unclosed section {{#${open[open.length - 1].name}}}`
+    );
+  }
+  return root.children;
+}
+
+// Helper to look up a (dotted) name in a context stack, innermost first
+function lookup(contexts, name) {
+  if (name === ".") return contexts[contexts.length - 1];
+
+  const [first, ...rest] = name.split(".");
+  let value;
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === "object" && first in context) {
+      value = context[first];
+      break;
+    }
+  }
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function renderNodes(nodes, contexts, templates) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.kind === "text") {
+      output += node.text;
+    } else if (node.kind === "name") {
+      const value = lookup(contexts, node.name);
+      if (value !== null && value !== undefined) output += String(value);
+    } else if (node.kind === "#") {
+      const value = lookup(contexts, node.name);
+      if (Array.isArray(value)) {
+        for (const item of value) {
+          output += renderNodes(node.children, [...contexts, item], templates);
+        }
+      } else if (value) {
+        output += renderNodes(node.children, [...contexts, value], templates);
+      }
+    } else if (node.kind === "^") {
+      const value = lookup(contexts, node.name);
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        output += renderNodes(node.children, contexts, templates);
+      }
+    } else if (node.kind === ">") {
+      const partial = templates.partials.get(node.name);
+      if (!partial) {
+        throw new Error(`Unknown template partial: ${node.name}`);
+      }
+      output += renderNodes(partial, contexts, templates);
+    }
+  }
+  return output;
+}
+
+// Helper to read the *.md templates of a directory into a Map by file name
+function readTemplateDirectory(directory, templates) {
+  if (!fs.existsSync(directory)) return;
+  for (const file of fs.readdirSync(directory)) {
+    if (!file.endsWith(".md")) continue;
+    const filePath = path.join(directory, file);
+    templates.set(
+      path.basename(file, ".md"),
+      parseTemplate(fs.readFileSync(filePath, "utf-8"), filePath)
+    );
+  }
+}
+
+// Load the page templates (<dir>/*.md) and partials (<dir>/partials/*.md) of
+// each directory. A file in a later directory replaces the file of the same
+// name from an earlier one, so overrides only need the templates they change.
+function loadTemplates(directories) {
+  const templates = { pages: new Map(), partials: new Map() };
+  for (const directory of directories) {
+    readTemplateDirectory(directory, templates.pages);
+    readTemplateDirectory(path.join(directory, "partials"), templates.partials);
+  }
+  return templates;
+}
+
+// Render the first of the named page templates that exists with the given view
+function renderTemplate(templates, names, view) {
+  const candidates = Array.isArray(names) ? names : [names];
+  const name = candidates.find((candidate) => templates.pages.has(candidate));
+  if (!name) {
+    throw new Error(`No template found for ${candidates.join(" or ")}`);
+  }
+  return renderNodes(templates.pages.get(name), [view], templates);
+}
+
+export { loadTemplates, renderTemplate };
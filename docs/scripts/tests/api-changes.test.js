@@ -0,0 +1,176 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { compareSnapshots } from "../api-changes.js";
+
+// Unit tests of the comparison behind generate-api-changes.js
+
+const namespaceName = "MJCZone.DapperMatic";
+const typeUrl = "/api/next/mjczone.dappermatic/mjczone.dappermatic";
+
+// Helper to create a snapshot with one namespace of the given types
+function createSnapshot(types) {
+  return new Map([
+    [
+      "MJCZone.DapperMatic",
+      {
+        data: [
+          {
+            self: { displayName: namespaceName },
+            types: types.map((type) => ({
+              payloadInfo: { accessLevel: "Public" },
+              ...type,
+            })),
+          },
+        ],
+      },
+    ],
+  ]);
+}
+
+// Helper to create a DbConnectionExtensions class with the given methods
+function createExtensions(methods) {
+  return {
+    name: "DbConnectionExtensions",
+    elementType: "Class",
+    methods: methods.map(([name, parameters, returnType = "Task<bool>"]) => ({
+      name,
+      commentId: `M:${namespaceName}.DbConnectionExtensions.${name}(${parameters})`,
+      returnType,
+    })),
+  };
+}
+
+// Helper to create a DbProviderType enum with the given members
+function createProviderType(members) {
+  return {
+    name: "DbProviderType",
+    elementType: "Enum",
+    enumMembers: Object.entries(members).map(([name, value]) => ({ name, value })),
+  };
+}
+
+describe("compareSnapshots", () => {
+  test("reports a removed overload as a removed member", () => {
+    const changes = compareSnapshots(
+      createSnapshot([
+        createExtensions([
+          ["DoesTableExistAsync", "System.Data.IDbConnection,System.String"],
+          ["DropTableIfExistsAsync", "System.Data.IDbConnection,System.String"],
+        ]),
+      ]),
+      createSnapshot([
+        createExtensions([["DoesTableExistAsync", "System.Data.IDbConnection,System.String"]]),
+      ])
+    );
+    assert.deepEqual(changes.removedMembers, [
+      {
+        type: "DbConnectionExtensions",
+        url: `${typeUrl}/dbconnectionextensions`,
+        member: "DropTableIfExistsAsync(IDbConnection, string)",
+        change: "Removed",
+        breaking: true,
+      },
+    ]);
+    assert.deepEqual(changes.changedSignatures, []);
+  });
+
+  test("reports a replaced overload as a changed signature", () => {
+    const changes = compareSnapshots(
+      createSnapshot([
+        createExtensions([["DoesTableExistAsync", "System.Data.IDbConnection,System.String"]]),
+      ]),
+      createSnapshot([
+        createExtensions([
+          ["DoesTableExistAsync", "System.Data.IDbConnection,System.String,System.String"],
+        ]),
+      ])
+    );
+    assert.deepEqual(
+      changes.changedSignatures.map(({ member, change, breaking }) => ({ member, change, breaking })),
+      [
+        {
+          member: "DoesTableExistAsync(IDbConnection, string)",
+          change: "Now `DoesTableExistAsync(IDbConnection, string, string)`",
+          breaking: true,
+        },
+      ]
+    );
+    assert.deepEqual(changes.addedMembers, []);
+    assert.deepEqual(changes.removedMembers, []);
+  });
+
+  test("reports a changed return type as a changed signature", () => {
+    const changes = compareSnapshots(
+      createSnapshot([
+        createExtensions([["GetTableAsync", "System.Data.IDbConnection", "Task<DmTable>"]]),
+      ]),
+      createSnapshot([
+        createExtensions([["GetTableAsync", "System.Data.IDbConnection", "Task<DmTable?>"]]),
+      ])
+    );
+    assert.equal(
+      changes.changedSignatures[0].change,
+      "Return type changed from `Task<DmTable>` to `Task<DmTable?>`"
+    );
+  });
+
+  test("reports an added overload as an added member, breaking only on interfaces", () => {
+    const oldMethods = [["DoesTableExistAsync", "System.Data.IDbConnection,System.String"]];
+    const newMethods = [
+      ...oldMethods,
+      ["DoesTableExistAsync", "System.Data.IDbConnection,System.String,System.String"],
+    ];
+    const changes = compareSnapshots(
+      createSnapshot([createExtensions(oldMethods)]),
+      createSnapshot([createExtensions(newMethods)])
+    );
+    assert.deepEqual(changes.addedMembers, [
+      {
+        type: "DbConnectionExtensions",
+        url: `${typeUrl}/dbconnectionextensions`,
+        member: "DoesTableExistAsync(IDbConnection, string, string)",
+        change: "Added",
+        breaking: false,
+      },
+    ]);
+    assert.deepEqual(changes.changedSignatures, []);
+
+    const interfaceChanges = compareSnapshots(
+      createSnapshot([{ ...createExtensions(oldMethods), elementType: "Interface" }]),
+      createSnapshot([{ ...createExtensions(newMethods), elementType: "Interface" }])
+    );
+    assert.equal(interfaceChanges.addedMembers[0].change, "Added to interface");
+    assert.equal(interfaceChanges.addedMembers[0].breaking, true);
+  });
+
+  test("reports changed, removed and added enum values", () => {
+    const changes = compareSnapshots(
+      createSnapshot([createProviderType({ SqlServer: 0, MySql: 1, Oracle: 2 })]),
+      createSnapshot([createProviderType({ SqlServer: 0, MySql: 3, Sqlite: 4 })]),
+      "1.0.0"
+    );
+    assert.deepEqual(changes.enumMemberChanges, [
+      {
+        type: "DbProviderType",
+        url: "/api/1.0.0/mjczone.dappermatic/mjczone.dappermatic/dbprovidertype",
+        member: "MySql",
+        change: "Value changed from `1` to `3`",
+        breaking: true,
+      },
+      {
+        type: "DbProviderType",
+        url: "/api/1.0.0/mjczone.dappermatic/mjczone.dappermatic/dbprovidertype",
+        member: "Oracle",
+        change: "Removed",
+        breaking: true,
+      },
+      {
+        type: "DbProviderType",
+        url: "/api/1.0.0/mjczone.dappermatic/mjczone.dappermatic/dbprovidertype",
+        member: "Sqlite",
+        change: "Added",
+        breaking: false,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,328 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  escapeAngleBrackets,
+  extractParameterTypes,
+  findDocumentedTypeKey,
+  formatCommentIdType,
+  formatTypeCounts,
+  formatTypeWithLinks,
+  getGenericArity,
+  getMethodSignature,
+  getMsBuildProperty,
+  getMsBuildReferences,
+  getProviderSupportView,
+  getReferencedTypeKeys,
+  sanitizeUrlName,
+  toVueProp,
+} from "../api-docs-generator.js";
+
+// Unit tests of the generator's helpers. They run against the default
+// settings, so links point at /api/next/.
+
+const assemblyName = "MJCZone.DapperMatic";
+const documentedTypes = new Set([
+  "mjczone.dappermatic.models/dmcolumn",
+  "mjczone.dappermatic.models/dmtable",
+  "mjczone.dappermatic.providers/dbprovidertypemapbase",
+  "mjczone.dappermatic.providers/dbprovidertypemapbase-1",
+]);
+const modelsUrl = "/api/next/mjczone.dappermatic/mjczone.dappermatic.models";
+
+// Helper to join signature parts back into the C# they display
+function getText(parts) {
+  return parts.map((part) => part.text).join("");
+}
+
+describe("sanitizeUrlName", () => {
+  test("lower-cases names and keeps dots", () => {
+    assert.equal(sanitizeUrlName("MJCZone.DapperMatic"), "mjczone.dappermatic");
+  });
+
+  test("replaces other characters with single dashes", () => {
+    assert.equal(sanitizeUrlName("DbProviderTypeMapBase`1"), "dbprovidertypemapbase-1");
+    assert.equal(sanitizeUrlName("Foo<Bar>"), "foo-bar");
+    assert.equal(sanitizeUrlName("  Two  Words  "), "two-words");
+  });
+});
+
+describe("findDocumentedTypeKey", () => {
+  test("finds a type by name, ignoring case", () => {
+    assert.equal(
+      findDocumentedTypeKey("DmTable", documentedTypes),
+      "mjczone.dappermatic.models/dmtable"
+    );
+  });
+
+  test("picks the generic definition of the given arity", () => {
+    assert.equal(
+      findDocumentedTypeKey("DbProviderTypeMapBase", documentedTypes, 1),
+      "mjczone.dappermatic.providers/dbprovidertypemapbase-1"
+    );
+    assert.equal(
+      findDocumentedTypeKey("DbProviderTypeMapBase", documentedTypes),
+      "mjczone.dappermatic.providers/dbprovidertypemapbase"
+    );
+  });
+
+  test("matches whole type names only", () => {
+    assert.equal(findDocumentedTypeKey("Table", documentedTypes), null);
+    assert.equal(findDocumentedTypeKey("DmColumn", documentedTypes, 2), null);
+  });
+});
+
+describe("getGenericArity", () => {
+  test("counts the type arguments of the generic name", () => {
+    assert.equal(getGenericArity("List<DmColumn>", 4), 1);
+    assert.equal(getGenericArity("Dictionary<string, List<int>>", 10), 2);
+  });
+
+  test("is 0 for names without type arguments", () => {
+    assert.equal(getGenericArity("int", 3), 0);
+  });
+});
+
+describe("formatCommentIdType", () => {
+  test("writes generic arguments with angle brackets and C# keywords", () => {
+    assert.equal(
+      formatCommentIdType("System.Collections.Generic.Dictionary{System.String,System.Int32}"),
+      "Dictionary<string, int>"
+    );
+  });
+
+  test("names method and type parameters", () => {
+    assert.equal(
+      formatCommentIdType("System.Collections.Generic.IEnumerable{``0}", ["TModel"]),
+      "IEnumerable<TModel>"
+    );
+    assert.equal(formatCommentIdType("`0", [], ["TImpl"]), "TImpl");
+  });
+
+  test("drops the ref marker", () => {
+    assert.equal(formatCommentIdType("System.Int32@"), "int");
+  });
+});
+
+describe("extractParameterTypes", () => {
+  test("reads the parameter types of a commentId", () => {
+    assert.deepEqual(
+      extractParameterTypes({
+        commentId:
+          "M:MJCZone.DapperMatic.DbConnectionExtensions.CreateColumnIfNotExistsAsync(System.Data.IDbConnection,System.Collections.Generic.List{MJCZone.DapperMatic.Models.DmColumn},System.Nullable{System.Int32},System.Threading.CancellationToken)",
+      }),
+      ["IDbConnection", "List<DmColumn>", "Nullable<int>", "CancellationToken"]
+    );
+  });
+
+  test("names method type parameters from the <typeparam> docs", () => {
+    assert.deepEqual(
+      extractParameterTypes({
+        commentId: "M:MJCZone.DapperMatic.Mapper.Map``1(System.Collections.Generic.IEnumerable{``0})",
+        typeParameters: [{ name: "TModel" }],
+      }),
+      ["IEnumerable<TModel>"]
+    );
+  });
+
+  test("is empty for methods without parameters", () => {
+    assert.deepEqual(
+      extractParameterTypes({ commentId: "M:MJCZone.DapperMatic.Models.DmTable.Clone" }),
+      []
+    );
+  });
+});
+
+describe("formatTypeWithLinks", () => {
+  test("links documented types and escapes angle brackets", () => {
+    assert.equal(
+      formatTypeWithLinks("Task<List<DmTable>>", documentedTypes, assemblyName),
+      `Task&lt;List&lt;[DmTable](${modelsUrl}/dmtable)&gt;&gt;`
+    );
+  });
+
+  test("writes types without links as code spans, with their angle brackets", () => {
+    assert.equal(formatTypeWithLinks("Task<bool>", documentedTypes, assemblyName), "`Task<bool>`");
+    assert.equal(
+      formatTypeWithLinks("Task<bool>", documentedTypes, assemblyName, false),
+      "Task&lt;bool&gt;"
+    );
+  });
+
+  test("links generic types to the definition of their arity", () => {
+    assert.equal(
+      formatTypeWithLinks("DbProviderTypeMapBase<TImpl>", documentedTypes, assemblyName, false),
+      "[DbProviderTypeMapBase](/api/next/mjczone.dappermatic/mjczone.dappermatic.providers/dbprovidertypemapbase-1)&lt;TImpl&gt;"
+    );
+  });
+
+  test("shows void for a missing type", () => {
+    assert.equal(formatTypeWithLinks(null, documentedTypes, assemblyName), "`void`");
+  });
+});
+
+describe("getMethodSignature", () => {
+  const getTable = {
+    name: "GetTableAsync",
+    commentId:
+      "M:MJCZone.DapperMatic.DbConnectionExtensions.GetTableAsync(System.Data.IDbConnection,System.String,System.Threading.CancellationToken)",
+    returnType: "Task<DmTable>",
+    parameters: [{ name: "db" }, { name: "tableName" }, { name: "cancellationToken" }],
+  };
+
+  test("puts the parameters of long signatures on their own lines", () => {
+    assert.equal(
+      getText(getMethodSignature(getTable, assemblyName, documentedTypes)),
+      "Task<DmTable> GetTableAsync(\n    IDbConnection db,\n    string tableName,\n    CancellationToken cancellationToken)"
+    );
+  });
+
+  test("marks keywords, methods and parameters and links documented types", () => {
+    const parts = getMethodSignature(getTable, assemblyName, documentedTypes);
+    assert.deepEqual(parts.slice(0, 5), [
+      { text: "Task", kind: "type" },
+      { text: "<" },
+      { text: "DmTable", kind: "type", href: `${modelsUrl}/dmtable` },
+      { text: "> " },
+      { text: "GetTableAsync", kind: "method" },
+    ]);
+    assert.ok(parts.some((part) => part.text === "string" && part.kind === "keyword"));
+    assert.ok(parts.some((part) => part.text === "tableName" && part.kind === "parameter"));
+  });
+
+  test("writes extension methods as calls on their receiver", () => {
+    assert.equal(
+      getText(
+        getMethodSignature(getTable, assemblyName, documentedTypes, { receiver: "db" })
+      ),
+      "db.GetTableAsync(string tableName, CancellationToken cancellationToken)"
+    );
+  });
+
+  test("adds the type parameters of generic methods", () => {
+    const map = {
+      name: "Map",
+      commentId: "M:MJCZone.DapperMatic.Mapper.Map``1(System.Int32)",
+      returnType: "List<TModel>",
+      parameters: [{ name: "count" }],
+      typeParameters: [{ name: "TModel" }],
+    };
+    assert.equal(
+      getText(getMethodSignature(map, assemblyName, documentedTypes)),
+      "List<TModel> Map<TModel>(int count)"
+    );
+  });
+});
+
+describe("formatTypeCounts", () => {
+  test("counts the types of each kind", () => {
+    assert.equal(
+      formatTypeCounts([
+        { name: "Classes", types: [{}, {}] },
+        { name: "Enums", types: [{}] },
+      ]),
+      "2 classes, 1 enum"
+    );
+  });
+});
+
+describe("getReferencedTypeKeys", () => {
+  test("finds the documented types in a type name", () => {
+    assert.deepEqual(
+      getReferencedTypeKeys("Task<Dictionary<string, DmColumn>>", documentedTypes),
+      ["mjczone.dappermatic.models/dmcolumn"]
+    );
+  });
+
+  test("is empty for missing types", () => {
+    assert.deepEqual(getReferencedTypeKeys(null, documentedTypes), []);
+  });
+});
+
+describe("getMsBuildProperty", () => {
+  test("takes the last unconditional value", () => {
+    const xml = `<Project>
+  <PropertyGroup><Version>1.0.0</Version></PropertyGroup>
+  <PropertyGroup Condition="'$(Configuration)' == 'Debug'"><Version>0.0.0</Version></PropertyGroup>
+  <PropertyGroup><Version>1.1.0</Version></PropertyGroup>
+</Project>`;
+    assert.equal(getMsBuildProperty(xml, "Version"), "1.1.0");
+    assert.equal(getMsBuildProperty(xml, "PackageId"), null);
+  });
+});
+
+describe("getMsBuildReferences", () => {
+  test("lists package and project references", () => {
+    const xml = `<Project>
+  <ItemGroup>
+    <PackageReference Include="Dapper" Version="2.1.35" />
+    <PackageReference Include="Npgsql">
+      <Version>8.0.0</Version>
+    </PackageReference>
+    <ProjectReference Include="..\\MJCZone.DapperMatic\\MJCZone.DapperMatic.csproj" />
+  </ItemGroup>
+</Project>`;
+    assert.deepEqual(getMsBuildReferences(xml), [
+      { name: "Dapper", version: "2.1.35" },
+      { name: "Npgsql", version: "8.0.0" },
+      { name: "MJCZone.DapperMatic", project: true },
+    ]);
+  });
+
+  test("skips private and conditional references", () => {
+    const xml = `<Project>
+  <ItemGroup>
+    <PackageReference Include="StyleCop.Analyzers" Version="1.1.118" PrivateAssets="all" />
+    <PackageReference Include="Polly" Version="8.0.0" Condition="'$(TargetFramework)' == 'net8.0'" />
+  </ItemGroup>
+  <ItemGroup Condition="'$(TargetFramework)' == 'net481'">
+    <PackageReference Include="System.Text.Json" Version="9.0.1" />
+  </ItemGroup>
+</Project>`;
+    assert.deepEqual(getMsBuildReferences(xml), []);
+  });
+});
+
+describe("getProviderSupportView", () => {
+  test("fills in the providers without a tag and numbers the notes", () => {
+    const view = getProviderSupportView({
+      commentId: "M:MJCZone.DapperMatic.DbConnectionExtensions.DropColumnIfExistsAsync",
+      providers: [
+        { name: "sqlite", support: "partial", text: "The table is recreated." },
+        { name: "MySql", support: "none", text: "" },
+        { name: "SqlServer", support: null, text: "Drops the default constraint first." },
+      ],
+    });
+    assert.deepEqual(view.columns, [
+      { title: "SQL Server", support: "✅ Yes <sup>1</sup>" },
+      { title: "MySQL", support: "❌ No" },
+      { title: "MariaDB", support: "✅ Yes" },
+      { title: "PostgreSQL", support: "✅ Yes" },
+      { title: "SQLite", support: "⚠️ Partial <sup>2</sup>" },
+    ]);
+    assert.deepEqual(view.notes, [
+      { number: 1, text: "Drops the default constraint first." },
+      { number: 2, text: "The table is recreated." },
+    ]);
+  });
+
+  test("is null without provider tags", () => {
+    assert.equal(
+      getProviderSupportView({ commentId: "T:MJCZone.DapperMatic.Models.DmTable" }),
+      null
+    );
+  });
+});
+
+describe("escapeAngleBrackets", () => {
+  test("escapes generic type arguments", () => {
+    assert.equal(escapeAngleBrackets("List<DmColumn>"), "List&lt;DmColumn&gt;");
+  });
+});
+
+describe("toVueProp", () => {
+  test("writes JSON that is safe inside a single-quoted attribute", () => {
+    const prop = toVueProp([{ text: "List<T>", href: "a&b'c" }]);
+    assert.ok(!/[<>&']/.test(prop));
+    assert.deepEqual(JSON.parse(prop), [{ text: "List<T>", href: "a&b'c" }]);
+  });
+});
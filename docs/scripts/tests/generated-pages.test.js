@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { configure, generateApiDocs } from "../api-docs-generator.js";
+
+// Golden-file tests: the pages, bundle, sidebar and versions manifest generated from
+// fixtures/input/ (with the project files in fixtures/src/) must match the files in fixtures/expected/. After an
+// intended change to the output, regenerate the expected files with
+//   UPDATE_GOLDEN=1 npm test
+// and review their diff like any other change.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fixturesDir = path.join(__dirname, "fixtures");
+const expectedDir = path.join(fixturesDir, "expected");
+const updateGolden = process.env.UPDATE_GOLDEN === "1";
+
+// Helper to read the files below a directory into a Map by relative path.
+// The generator's list of written files is bookkeeping, not output.
+function readFiles(directory, files = new Map(), root = directory) {
+  if (!fs.existsSync(directory)) return files;
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const filePath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      readFiles(filePath, files, root);
+    } else if (entry.name !== ".generated-files.json") {
+      const relativePath = path.relative(root, filePath).split(path.sep).join("/");
+      // A checkout may have converted the expected files to CRLF
+      files.set(relativePath, fs.readFileSync(filePath, "utf-8").replace(/\r\n/g, "\n"));
+    }
+  }
+  return files;
+}
+
+// Helper to replace the expected files with the generated ones
+function writeFiles(directory, files) {
+  fs.rmSync(directory, { recursive: true, force: true });
+  for (const [relativePath, content] of files) {
+    const filePath = path.join(directory, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+describe("generated pages", () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-docs-"));
+  after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  // Everything that depends on the machine or the checkout is pinned
+  configure({
+    packagesDir: path.join(fixturesDir, "input"),
+    outputDir: path.join(outputDir, "api"),
+    version: "next",
+    versionsManifestPath: path.join(outputDir, "api-versions.json"),
+    sidebarConfigPath: path.join(outputDir, "api-sidebar.json"),
+    config: path.join(fixturesDir, "api-docs.config.json"),
+    projectsDir: path.join(fixturesDir, "src"),
+    bundleDir: path.join(outputDir, "bundle"),
+    sourceRef: "v0.0.0-test",
+    quiet: true,
+  });
+  generateApiDocs();
+
+  const actual = readFiles(outputDir);
+  if (updateGolden) {
+    writeFiles(expectedDir, actual);
+  }
+  const expected = readFiles(expectedDir);
+
+  test("writes the expected files", () => {
+    assert.deepEqual([...actual.keys()].sort(), [...expected.keys()].sort());
+  });
+
+  // Markdown shows entities in code spans literally, so a generic return type
+  // has to keep its angle brackets there, in the pages and in the bundle
+  test("writes generic return types as code spans with angle brackets", () => {
+    for (const relativePath of [
+      "api/next/mjczone.dappermatic/extension-methods/tables.md",
+      "bundle/api-reference-next.md",
+    ]) {
+      const content = actual.get(relativePath);
+      assert.match(content, /^\*\*Type:\*\* `Task<bool>`$/m);
+      assert.doesNotMatch(content, /`[^`\n]*&(lt|gt);[^`\n]*`/);
+    }
+  });
+
+  for (const [relativePath, content] of expected) {
+    test(relativePath, () => {
+      assert.equal(actual.get(relativePath), content);
+    });
+  }
+});
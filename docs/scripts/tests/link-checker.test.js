@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getAnchors, getPageLinks, resolveLink } from "../link-checker.js";
+
+// Unit tests of the link checker behind check-links.js
+
+describe("getAnchors", () => {
+  test("suffixes repeated headings like VitePress", () => {
+    const anchors = getAnchors("# Overloads\n\n## Example\n\n## Example\n\n### Example");
+    assert.deepEqual([...anchors], ["overloads", "example", "example-1", "example-2"]);
+  });
+
+  test("uses {#custom} ids instead of the heading slug", () => {
+    const anchors = getAnchors("## Methods {#dmtable--methods}\n\n## Methods");
+    assert.deepEqual([...anchors], ["dmtable--methods", "methods"]);
+  });
+
+  test("collects id attributes and skips code blocks and frontmatter", () => {
+    const anchors = getAnchors(
+      '---\ntitle: DmTable\n---\n\n<a id="overloads-1"></a>\n\n```bash\n# not a heading\n```\n\n`id="inline"`'
+    );
+    assert.deepEqual([...anchors], ["overloads-1"]);
+  });
+});
+
+describe("resolveLink", () => {
+  test("resolves relative links from the page folder", () => {
+    assert.deepEqual(resolveLink("./dmcolumn#columnname", "api/next/models/dmtable.md"), {
+      page: "api/next/models/dmcolumn.md",
+      anchor: "columnname",
+    });
+    assert.deepEqual(resolveLink("../interfaces/idatabasemethods", "api/next/models/dmtable.md"), {
+      page: "api/next/interfaces/idatabasemethods.md",
+      anchor: null,
+    });
+  });
+
+  test("resolves folder links to their index page", () => {
+    assert.deepEqual(resolveLink("/api/next/", null), { page: "api/next/index.md", anchor: null });
+    assert.deepEqual(resolveLink("./", "guide/getting-started.md"), {
+      page: "guide/index.md",
+      anchor: null,
+    });
+  });
+
+  test("strips .md and .html extensions and the query", () => {
+    for (const url of ["/guide/models.md", "/guide/models.html", "/guide/models?tab=1"]) {
+      assert.deepEqual(resolveLink(url, "index.md"), { page: "guide/models.md", anchor: null });
+    }
+  });
+
+  test("decodes encoded anchors and paths", () => {
+    assert.deepEqual(resolveLink("/api/next/db%20types#get%3Ctt%3E", null), {
+      page: "api/next/db types.md",
+      anchor: "get<tt>",
+    });
+    assert.deepEqual(resolveLink("#m%C3%A9thodes", "guide/models.md"), {
+      page: "guide/models.md",
+      anchor: "méthodes",
+    });
+  });
+
+  test("skips external links and assets", () => {
+    assert.equal(resolveLink("https://github.com/mjczone/dappermatic", "index.md"), null);
+    assert.equal(resolveLink("//example.com/page", "index.md"), null);
+    assert.equal(resolveLink("mailto:info@mjczone.com", "index.md"), null);
+    assert.equal(resolveLink("/logo.png", "index.md"), null);
+    assert.equal(resolveLink("#overview", null), null);
+  });
+});
+
+describe("getPageLinks", () => {
+  test("collects the hrefs of the signature components' JSON props", () => {
+    const markdown = [
+      "# DmTable",
+      "",
+      `<ApiSignature :parts='[{"text":"DmTable","kind":"type","href":"/api/next/models/dmtable"},` +
+        `{"text":"List\\u003CDmColumn\\u003E","kind":"type","href":"/api/next/models/dmcolumn#a\\u0026b"}]' />`,
+    ].join("\n");
+    assert.deepEqual(getPageLinks(markdown), [
+      { url: "/api/next/models/dmtable", line: 3 },
+      { url: "/api/next/models/dmcolumn#a&b", line: 3 },
+    ]);
+  });
+
+  test("collects markdown links, href attributes and frontmatter links", () => {
+    const markdown = [
+      "---",
+      "hero:",
+      "  actions:",
+      "    - link: /guide/getting-started",
+      "---",
+      "",
+      "See [DmTable](./dmtable) and ![logo](/logo.png).",
+      '<a href="./dmcolumn?x=1&amp;y=2">DmColumn</a>',
+      "`[not a link](./code)`",
+    ].join("\n");
+    assert.deepEqual(getPageLinks(markdown), [
+      { url: "/guide/getting-started", line: 4 },
+      { url: "./dmtable", line: 7 },
+      { url: "./dmcolumn?x=1&y=2", line: 8 },
+    ]);
+  });
+});
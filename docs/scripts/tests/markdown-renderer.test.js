@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getHeadingText, renderMarkdown, slugify } from "../markdown-renderer.js";
+
+// Unit tests of the markdown renderer of the offline bundle
+
+describe("slugify", () => {
+  test("creates VitePress heading anchors", () => {
+    assert.equal(slugify("DoesTableExistAsync(string, string)"), "doestableexistasync-string-string");
+    assert.equal(slugify(getHeadingText("DmTable&lt;T&gt;")), "dmtable-t");
+    assert.equal(slugify(getHeadingText("[`DmColumn`](./dmcolumn)")), "dmcolumn");
+    assert.equal(slugify("2.0 changes"), "_2-0-changes");
+  });
+});
+
+describe("renderMarkdown", () => {
+  test("renders headings with custom ids", () => {
+    assert.equal(
+      renderMarkdown("## Methods {#dmtable--methods}"),
+      '<h2 id="dmtable--methods">Methods</h2>'
+    );
+  });
+
+  test("escapes code spans and code blocks", () => {
+    assert.equal(
+      renderMarkdown("Returns `Task<bool>` or **nothing**."),
+      "<p>Returns <code>Task&lt;bool&gt;</code> or <strong>nothing</strong>.</p>"
+    );
+    // Entities in a code span are shown as they are, as markdown-it does
+    assert.equal(renderMarkdown("`&lt;`"), "<p><code>&amp;lt;</code></p>");
+    assert.equal(
+      renderMarkdown("```csharp\nList<string> names = [];\n```"),
+      '<pre><code class="language-csharp">List&lt;string&gt; names = [];</code></pre>'
+    );
+  });
+
+  test("renders tables with alignment and escaped pipes", () => {
+    assert.equal(
+      renderMarkdown("| Name | Size |\n| :--- | ---: |\n| `a \\| b` | 1 |"),
+      [
+        "<table>",
+        '<thead><tr><th style="text-align: left">Name</th><th style="text-align: right">Size</th></tr></thead>',
+        "<tbody>",
+        '<tr><td style="text-align: left"><code>a | b</code></td><td style="text-align: right">1</td></tr>',
+        "</tbody>",
+        "</table>",
+      ].join("\n")
+    );
+  });
+
+  test("renders nested lists and blockquotes", () => {
+    assert.equal(
+      renderMarkdown("- [DmTable](#dmtable)\n  - Columns\n- DmView"),
+      [
+        "<ul>",
+        '<li><a href="#dmtable">DmTable</a>',
+        "<ul>",
+        "<li>Columns</li>",
+        "</ul></li>",
+        "<li>DmView</li>",
+        "</ul>",
+      ].join("\n")
+    );
+    assert.equal(
+      renderMarkdown("> **Tip:** Use _this_.\n>\n> Second"),
+      "<blockquote>\n<p><strong>Tip:</strong> Use <em>this</em>.</p>\n<p>Second</p>\n</blockquote>"
+    );
+  });
+});
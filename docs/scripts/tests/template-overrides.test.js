@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { configure, generateApiDocs } from "../api-docs-generator.js";
+
+// Tests of the templates setting of the docs config: a template in its
+// directory replaces the default of the same name, for every generated page
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fixturesDir = path.join(__dirname, "fixtures");
+
+describe("template overrides", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-docs-templates-"));
+  after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+  const overrides = {
+    "version-index.md": "# Reference {{versionLabel}}\n{{#assemblies}}\n- {{name}}\n{{/assemblies}}\n",
+    "versions.md": "# Releases\n{{#versions}}\n- {{text}} {{note}}\n{{/versions}}\n",
+    "extension-methods-index.md": "# Extensions\n{{#categories}}\n- {{text}}: {{methodCount}}\n{{/categories}}\n",
+  };
+  fs.mkdirSync(path.join(tempDir, "templates"));
+  for (const [name, template] of Object.entries(overrides)) {
+    fs.writeFileSync(path.join(tempDir, "templates", name), template);
+  }
+  const configPath = path.join(tempDir, "api-docs.config.json");
+  fs.writeFileSync(configPath, JSON.stringify({ templates: "./templates" }));
+
+  configure({
+    packagesDir: path.join(fixturesDir, "input"),
+    outputDir: path.join(tempDir, "api"),
+    version: "next",
+    versionsManifestPath: path.join(tempDir, "api-versions.json"),
+    sidebarConfigPath: path.join(tempDir, "api-sidebar.json"),
+    config: configPath,
+    projectsDir: path.join(fixturesDir, "src"),
+    bundleDir: path.join(tempDir, "bundle"),
+    sourceRef: "v0.0.0-test",
+    quiet: true,
+  });
+  generateApiDocs();
+
+  // Helper to read a generated page
+  function readPage(relativePath) {
+    return fs.readFileSync(path.join(tempDir, "api", relativePath), "utf-8");
+  }
+
+  test("renders the index of the version from its template", () => {
+    assert.equal(readPage("next/index.md"), "# Reference next\n- MJCZone.DapperMatic\n");
+  });
+
+  test("renders the version list from its template", () => {
+    assert.equal(readPage("index.md"), "# Releases\n- next Latest release\n");
+  });
+
+  test("renders the extension methods index from its template", () => {
+    assert.match(
+      readPage("next/mjczone.dappermatic/extension-methods/index.md"),
+      /^# Extensions\n(- \w[\w ]*: \d+\n)+$/
+    );
+  });
+});
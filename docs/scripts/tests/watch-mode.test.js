@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  configure,
+  generateApiDocs,
+  getChangedTypeKeys,
+  getTypeFingerprints,
+  loadPackages,
+  reloadPackages,
+} from "../api-docs-generator.js";
+
+// Tests of the incremental runs of watch mode: after a package changes, only
+// the pages of the changed types and of the types inheriting from them are
+// rendered again
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fixturesDir = path.join(__dirname, "fixtures");
+const modelsKey = "mjczone.dappermatic.models";
+
+// Helper to change the types of the fixture package in place
+function editPackage(packagePath, editTypes) {
+  const apiData = JSON.parse(fs.readFileSync(packagePath, "utf-8"));
+  const namespace = apiData.data.find(
+    (candidate) => candidate.self.displayName === "MJCZone.DapperMatic.Models"
+  );
+  editTypes(new Map(namespace.types.map((type) => [type.name, type])));
+  fs.writeFileSync(packagePath, JSON.stringify(apiData));
+}
+
+describe("watch mode", () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-docs-watch-"));
+  after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+  const packagesDir = path.join(tempDir, "packages");
+  fs.cpSync(path.join(fixturesDir, "input"), packagesDir, { recursive: true });
+  const packagePath = path.join(packagesDir, "MJCZone.DapperMatic.json");
+  const modelsDir = path.join(tempDir, "api", "next", "mjczone.dappermatic", modelsKey);
+
+  configure({
+    packagesDir,
+    outputDir: path.join(tempDir, "api"),
+    version: "next",
+    versionsManifestPath: path.join(tempDir, "api-versions.json"),
+    sidebarConfigPath: path.join(tempDir, "api-sidebar.json"),
+    config: path.join(fixturesDir, "api-docs.config.json"),
+    projectsDir: path.join(fixturesDir, "src"),
+    bundleDir: path.join(tempDir, "bundle"),
+    sourceRef: "v0.0.0-test",
+    quiet: true,
+  });
+  let packages = loadPackages();
+  let fingerprints = getTypeFingerprints(packages);
+  generateApiDocs({ packages });
+
+  test("finds no changes after a run", () => {
+    assert.deepEqual(getChangedTypeKeys(fingerprints, getTypeFingerprints(packages)), new Set());
+  });
+
+  test("renders the pages of a changed type and of its subtypes again", () => {
+    editPackage(packagePath, (types) => {
+      types.get("DmConstraint").properties[0].summary = "Gets or sets the name of the constraint.";
+    });
+    // Pages that are not rendered again keep whatever is in them
+    fs.appendFileSync(path.join(modelsDir, "dmtable.md"), "\nnot rendered again\n");
+
+    packages = reloadPackages(packages, [packagePath]);
+    const nextFingerprints = getTypeFingerprints(packages);
+    const changedTypes = getChangedTypeKeys(fingerprints, nextFingerprints);
+    assert.deepEqual(changedTypes, new Set([`${modelsKey}/dmconstraint`]));
+    fingerprints = nextFingerprints;
+    generateApiDocs({ packages, changedTypes });
+
+    for (const page of ["dmconstraint.md", "dmcheckconstraint.md"]) {
+      assert.match(
+        fs.readFileSync(path.join(modelsDir, page), "utf-8"),
+        /Gets or sets the name of the constraint\./
+      );
+    }
+    assert.match(fs.readFileSync(path.join(modelsDir, "dmtable.md"), "utf-8"), /not rendered again/);
+    // Pages kept from an earlier run are not stale
+    assert.ok(fs.existsSync(path.join(modelsDir, "dmcolumn.md")));
+  });
+
+  test("renders every page after a member was added", () => {
+    editPackage(packagePath, (types) => {
+      const table = types.get("DmTable");
+      table.properties.push({
+        ...table.properties[0],
+        name: "Indexes",
+        commentId: "P:MJCZone.DapperMatic.Models.DmTable.Indexes",
+      });
+    });
+
+    packages = reloadPackages(packages, [packagePath]);
+    assert.equal(getChangedTypeKeys(fingerprints, getTypeFingerprints(packages)), null);
+  });
+});
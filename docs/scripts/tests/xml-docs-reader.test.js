@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getMethodSignature } from "../api-docs-generator.js";
+import { mergeXmlDocs, parseXmlDocs } from "../xml-docs-reader.js";
+
+// Unit tests of the XML documentation reader
+
+const xml = `<?xml version="1.0"?>
+<doc>
+    <assembly>
+        <name>MJCZone.DapperMatic</name>
+    </assembly>
+    <members>
+        <member name="T:MJCZone.DapperMatic.DbConnectionExtensions">
+            <summary>Extension methods for IDbConnection.</summary>
+        </member>
+        <member name="M:MJCZone.DapperMatic.DbConnectionExtensions.DropColumnIfExistsAsync(System.Data.IDbConnection,System.String)">
+            <summary>Drops a column if it exists.</summary>
+            <remarks>
+            The column is dropped with its constraints.
+            </remarks>
+            <provider name="Sqlite" support="partial">
+            The table is recreated without the column.
+            </provider>
+            <provider name="MySql"/>
+        </member>
+    </members>
+</doc>`;
+const commentId =
+  "M:MJCZone.DapperMatic.DbConnectionExtensions.DropColumnIfExistsAsync(System.Data.IDbConnection,System.String)";
+
+describe("parseXmlDocs", () => {
+  test("reads the provider notes of a member", () => {
+    const { apiData } = parseXmlDocs(xml);
+    const [method] = apiData.data[0].types[0].methods;
+    assert.deepEqual(method.providers, [
+      { name: "Sqlite", support: "partial", text: "The table is recreated without the column." },
+      { name: "MySql", support: null, text: "" },
+    ]);
+  });
+
+  test("inherits the provider notes an <inheritdoc path=\"/provider\"/> points at", () => {
+    const interfaceId = "M:A.IColumnMethods.DropColumnAsync(System.String)";
+    const { apiData } = parseXmlDocs(`<?xml version="1.0"?>
+<doc>
+    <assembly><name>A</name></assembly>
+    <members>
+        <member name="${interfaceId}">
+            <summary>Drops a column.</summary>
+            <provider name="Sqlite">The table is recreated without the column.</provider>
+        </member>
+        <member name="M:A.Extensions.DropColumnAsync(System.String)">
+            <summary>Drops a column if it exists.</summary>
+            <inheritdoc cref="${interfaceId}" path="/provider"/>
+        </member>
+        <member name="M:A.Extensions.DropViewAsync(System.String)">
+            <summary>Drops a view.</summary>
+            <inheritdoc cref="${interfaceId}" path="/remarks"/>
+        </member>
+    </members>
+</doc>`);
+    const extensions = apiData.data[0].types.find((type) => type.name === "Extensions");
+    assert.equal(extensions.methods[0].summary, "Drops a column if it exists.");
+    assert.deepEqual(extensions.methods[0].providers, [
+      { name: "Sqlite", support: null, text: "The table is recreated without the column." },
+    ]);
+    assert.equal(extensions.methods[1].providers, undefined);
+  });
+});
+
+describe("parseXmlDocs parameters", () => {
+  // Helper to parse A.Foo.Bar(string, int, bool) documented by the given tags
+  function parseMethod(tags) {
+    const { apiData } = parseXmlDocs(`<?xml version="1.0"?>
+<doc>
+    <assembly><name>A</name></assembly>
+    <members>
+        <member name="M:A.Foo.Bar(System.String,System.Int32,System.Boolean)">
+            <summary>Does something.</summary>
+            ${tags}
+        </member>
+    </members>
+</doc>`);
+    return apiData.data[0].types[0].methods[0];
+  }
+
+  test("names the parameters from their tags", () => {
+    assert.deepEqual(
+      parseMethod(
+        '<param name="name">The name.</param><param name="count">The count.</param><param name="flag">The flag.</param>'
+      ).parameters,
+      [
+        { name: "name", text: "The name." },
+        { name: "count", text: "The count." },
+        { name: "flag", text: "The flag." },
+      ]
+    );
+  });
+
+  test("keeps every parameter of the signature when one is undocumented", (t) => {
+    t.mock.method(console, "warn", () => {});
+    const method = parseMethod(
+      '<param name="name">The name.</param><param name="flag">The flag.</param>'
+    );
+    assert.deepEqual(method.parameters, [
+      { name: "arg1", text: "" },
+      { name: "arg2", text: "" },
+      { name: "arg3", text: "" },
+    ]);
+    assert.equal(console.warn.mock.callCount(), 1);
+    assert.equal(
+      getMethodSignature(method, "A", new Set())
+        .map((part) => part.text)
+        .join(""),
+      "Bar(string arg1, int arg2, bool arg3)"
+    );
+  });
+});
+
+describe("mergeXmlDocs", () => {
+  test("copies remarks and provider notes onto the package data", () => {
+    const method = { name: "DropColumnIfExistsAsync", commentId, summary: "Drops a column." };
+    mergeXmlDocs(
+      {
+        data: [
+          {
+            self: { displayName: "MJCZone.DapperMatic" },
+            types: [{ name: "DbConnectionExtensions", methods: [method] }],
+          },
+        ],
+      },
+      xml
+    );
+    assert.equal(method.summary, "Drops a column.");
+    assert.equal(method.remarks, "The column is dropped with its constraints.");
+    assert.equal(method.providers.length, 2);
+  });
+});
@@ -0,0 +1,467 @@
+import fs from "fs";
+
+// Reads the XML documentation files emitted by the C# compiler
+// (<GenerateDocumentationFile>) and converts them into the same shape as the
+// Akov NetDocsProcessor JSON in docs/packages, so generate-api-docs.js can run
+// straight from a build artifact.
+//
+// The XML files only carry what is written in the doc comments. They have no
+// accessibility, return types, base types or type kinds, so every documented
+// member is treated as public, types are classes unless their name follows the
+// I-prefixed interface convention, and return types are left empty.
+
+// Helper to decode the XML entities used in attribute values
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Helper to read an attribute value from a tag's attribute string
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
+
+// Helper to strip the indentation the compiler copies from the source file.
+// Inner markup is kept as-is so the generator can format <see>, <c>, etc.
+function normalizeXmlText(text) {
+  if (!text) return "";
+
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  if (lines.length === 0) return "";
+
+  const indents = lines
+    .filter((line) => line.trim())
+    .map((line) => line.match(/^\s*/)[0].length);
+  const commonIndent = Math.min(...indents);
+
+  return lines
+    .map((line) => line.slice(Math.min(commonIndent, line.length)).trimEnd())
+    .join("\n")
+    .trim();
+}
+
+// Helper to get the text of the first <tag>...</tag> element in a member body
+function getElementText(body, tagName) {
+  const match = body.match(
+    new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`)
+  );
+  return match ? normalizeXmlText(match[1]) : null;
+}
+
+// Helper to get every named element (<param name="...">, <exception cref="...">)
+function getNamedElements(body, tagName, attributeName = "name") {
+  const results = [];
+  const regex = new RegExp(
+    `<${tagName}\\s([^>]*?)(?:/>|>([\\s\\S]*?)</${tagName}>)`,
+    "g"
+  );
+  let match;
+  while ((match = regex.exec(body)) !== null) {
+    const name = getAttribute(match[1], attributeName);
+    if (!name) continue;
+    results.push({ name, text: normalizeXmlText(match[2] || "") });
+  }
+  return results;
+}
+
+// Helper to get the <provider name="..." support="...">note</provider> elements
+// that describe how a type or member behaves on one database provider
+function getProviderElements(body) {
+  const results = [];
+  const regex = /<provider\s([^>]*?)(?:\/>|>([\s\S]*?)<\/provider>)/g;
+  let match;
+  while ((match = regex.exec(body)) !== null) {
+    const name = getAttribute(match[1], "name");
+    if (!name) continue;
+    results.push({
+      name,
+      support: getAttribute(match[1], "support"),
+      text: normalizeXmlText(match[2] || ""),
+    });
+  }
+  return results;
+}
+
+// Helper to split a commentId ("M:Ns.Type.Method(System.String)") into its parts
+function parseCommentId(commentId) {
+  const kind = commentId.charAt(0);
+  let fullName = commentId.slice(2);
+
+  // Drop the parameter list (it may contain dots) and any conversion operator return type
+  const paramStart = fullName.indexOf("(");
+  if (paramStart !== -1) {
+    fullName = fullName.slice(0, paramStart);
+  }
+
+  if (kind === "T") {
+    return { kind, fullName, ownerName: null, memberName: null };
+  }
+
+  const lastDot = fullName.lastIndexOf(".");
+  return {
+    kind,
+    fullName,
+    ownerName: fullName.slice(0, lastDot),
+    memberName: fullName.slice(lastDot + 1),
+  };
+}
+
+// Helper to split the parameter list of a commentId, keeping generic
+// arguments ("IEnumerable{DmTable}") and array bounds together
+function splitCommentIdParameters(commentId) {
+  if (!commentId || commentId === "NOT FOUND") return [];
+
+  const paramStart = commentId.indexOf("(");
+  const paramEnd = commentId.lastIndexOf(")");
+  if (paramStart === -1 || paramEnd <= paramStart) return [];
+
+  const params = [];
+  let depth = 0;
+  let current = "";
+  for (const char of commentId.substring(paramStart + 1, paramEnd)) {
+    if (char === "{" || char === "[") depth++;
+    if (char === "}" || char === "]") depth--;
+    if (char === "," && depth === 0) {
+      params.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) params.push(current.trim());
+
+  return params;
+}
+
+// Helper to build the parameters of a method or indexer, one per parameter of
+// its commentId. The file has the <param> tags but not the parameter names, so
+// the tags only name the parameters when there is one for each (StyleCop keeps
+// them in signature order). Otherwise the documented parameters cannot be
+// placed, and all of them are named by position instead of being paired with
+// the wrong types.
+function createParameters(member) {
+  const types = splitCommentIdParameters(member.commentId);
+  const tags = getNamedElements(member.body, "param");
+  if (tags.length === types.length) {
+    return tags;
+  }
+
+  if (tags.length > 0) {
+    console.warn(
+      `⚠️  ${member.commentId}: ${tags.length} of ${types.length} parameters have a <param> tag, so parameters are named by position`
+    );
+  }
+  return types.map((_, index) => ({ name: `arg${index + 1}`, text: "" }));
+}
+
+// Helper to read all <member> elements from an XML documentation file
+function readMembers(xml) {
+  const members = [];
+  const regex = /<member\s([^>]*?)(?:\/>|>([\s\S]*?)<\/member>)/g;
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    const commentId = getAttribute(match[1], "name");
+    if (!commentId || commentId.charAt(1) !== ":") continue;
+    members.push({ commentId, body: match[2] || "" });
+  }
+  return inheritProviderNotes(members);
+}
+
+// Provider notes are written once, on the interface method, and the extension
+// methods that forward to it take them with
+//   <inheritdoc cref="Interfaces.IDatabaseColumnMethods.DropColumnIfExistsAsync(...)" path="/provider"/>
+// The compiler writes the cref as a commentId, so the notes of that member
+// (following its own <inheritdoc>, if any) are copied into the member body.
+function inheritProviderNotes(members) {
+  const bodies = new Map(members.map((member) => [member.commentId, member.body]));
+
+  function getProviderNotes(body, visited) {
+    const notes = body.match(/<provider\s[^>]*?(?:\/>|>[\s\S]*?<\/provider>)/g);
+    if (notes) return notes;
+
+    const inheritdoc = body.match(/<inheritdoc\s([^>]*?)\/?>/);
+    const cref = inheritdoc && getAttribute(inheritdoc[1], "cref");
+    if (!cref || getAttribute(inheritdoc[1], "path") !== "/provider" || visited.has(cref)) {
+      return [];
+    }
+    if (!bodies.has(cref)) {
+      console.warn(`⚠️  Cannot inherit provider notes from ${cref}: it is not documented in this file`);
+      return [];
+    }
+    return getProviderNotes(bodies.get(cref), visited.add(cref));
+  }
+
+  return members.map((member) => {
+    if (!/<inheritdoc\s/.test(member.body) || /<provider\s/.test(member.body)) {
+      return member;
+    }
+    const notes = getProviderNotes(member.body, new Set([member.commentId]));
+    return notes.length > 0 ? { ...member, body: `${member.body}\n${notes.join("\n")}` } : member;
+  });
+}
+
+// Helper to build the documentation fields shared by types and members
+function createDocumentation(member) {
+  const doc = {
+    commentId: member.commentId,
+    summary: getElementText(member.body, "summary") || "",
+  };
+
+  const typeParameters = getNamedElements(member.body, "typeparam");
+  if (typeParameters.length > 0) {
+    doc.typeParameters = typeParameters;
+  }
+
+  Object.assign(doc, createSupplementalDocumentation(member));
+
+  return doc;
+}
+
+// Helper to build the sections Akov does not export: remarks, example,
+// exceptions and provider notes
+function createSupplementalDocumentation(member) {
+  const doc = {};
+
+  const remarks = getElementText(member.body, "remarks");
+  if (remarks) {
+    doc.remarks = remarks;
+  }
+
+  const example = getElementText(member.body, "example");
+  if (example) {
+    doc.example = example;
+  }
+
+  const exceptions = getNamedElements(member.body, "exception", "cref");
+  if (exceptions.length > 0) {
+    doc.exceptions = exceptions.map((e) => ({ cref: e.name, text: e.text }));
+  }
+
+  const providers = getProviderElements(member.body);
+  if (providers.length > 0) {
+    doc.providers = providers;
+  }
+
+  return doc;
+}
+
+// Helper to build a generic display name (DbProviderTypeMapBase`1 -> DbProviderTypeMapBase<TImpl>)
+function createTypeDisplayName(typeName, typeParameters) {
+  const arityMatch = typeName.match(/^(.*)`(\d+)$/);
+  if (!arityMatch) return typeName;
+
+  const arity = parseInt(arityMatch[2], 10);
+  const names =
+    typeParameters && typeParameters.length === arity
+      ? typeParameters.map((p) => p.name)
+      : Array.from({ length: arity }, (_, i) => (arity === 1 ? "T" : `T${i + 1}`));
+  return `${arityMatch[1]}<${names.join(", ")}>`;
+}
+
+// Parse a single XML documentation file into Akov-style package data
+function parseXmlDocs(xml) {
+  const assemblyMatch = xml.match(
+    /<assembly>\s*<name>([^<]+)<\/name>\s*<\/assembly>/
+  );
+  if (!assemblyMatch) {
+    throw new Error("Not a .NET XML documentation file (missing <assembly><name>)");
+  }
+  const assemblyName = assemblyMatch[1].trim();
+
+  const members = readMembers(xml).map((member) => ({
+    ...member,
+    ...parseCommentId(member.commentId),
+  }));
+
+  // Register every documented type, plus owner types that only have documented members
+  const typeDocs = new Map();
+  for (const member of members) {
+    if (member.kind === "T") {
+      typeDocs.set(member.fullName, member);
+    }
+  }
+  const typeFullNames = new Set(typeDocs.keys());
+  for (const member of members) {
+    if (member.kind !== "T" && member.ownerName) {
+      typeFullNames.add(member.ownerName);
+    }
+  }
+
+  // Resolve namespace and (nested) type name for each type
+  function resolveTypeLocation(fullName) {
+    const lastDot = fullName.lastIndexOf(".");
+    const parentName = lastDot === -1 ? "" : fullName.slice(0, lastDot);
+    const shortName = fullName.slice(lastDot + 1);
+
+    if (parentName && typeFullNames.has(parentName)) {
+      const parent = resolveTypeLocation(parentName);
+      return {
+        namespaceName: parent.namespaceName,
+        typeName: `${parent.typeName}.${shortName}`,
+      };
+    }
+    return { namespaceName: parentName, typeName: shortName };
+  }
+
+  const types = new Map();
+  for (const fullName of typeFullNames) {
+    const { namespaceName, typeName } = resolveTypeLocation(fullName);
+    const typeMember = typeDocs.get(fullName) || {
+      commentId: `T:${fullName}`,
+      body: "",
+    };
+    const doc = createDocumentation(typeMember);
+    const shortName = typeName.split(".").pop();
+
+    types.set(fullName, {
+      namespaceName,
+      type: {
+        name: typeName,
+        self: {
+          displayName: createTypeDisplayName(typeName, doc.typeParameters),
+          url: `${namespaceName}/${typeName}`,
+        },
+        elementType: /^I[A-Z]/.test(shortName) ? "Interface" : "Class",
+        ...doc,
+        payloadInfo: { accessLevel: "Public" },
+        implementedInterfaces: [],
+        constructors: [],
+        methods: [],
+        properties: [],
+        fields: [],
+        events: [],
+      },
+    });
+  }
+
+  // Attach members to their declaring types
+  for (const member of members) {
+    if (member.kind === "T" || !types.has(member.ownerName)) continue;
+
+    const { type } = types.get(member.ownerName);
+    const doc = createDocumentation(member);
+    const memberName = member.memberName.replace(/``\d+$/, "");
+
+    switch (member.kind) {
+      case "M": {
+        // Static constructors are not part of the callable surface
+        if (memberName === "#cctor") break;
+
+        const method = {
+          name: memberName,
+          title: memberName === "#ctor" ? type.name : memberName,
+          ...doc,
+          parameters: createParameters(member),
+        };
+        const returns = getElementText(member.body, "returns");
+        if (returns) {
+          method.returns = returns;
+        }
+
+        if (memberName === "#ctor") {
+          type.constructors.push(method);
+        } else {
+          type.methods.push(method);
+        }
+        break;
+      }
+      case "P":
+        type.properties.push({
+          name: memberName,
+          ...doc,
+          parameters: createParameters(member),
+        });
+        break;
+      case "F":
+        type.fields.push({ name: memberName, ...doc });
+        break;
+      case "E":
+        type.events.push({ name: memberName, ...doc });
+        break;
+    }
+  }
+
+  // Group types into namespaces, in the order they first appear in the file
+  const namespaces = new Map();
+  for (const { namespaceName, type } of types.values()) {
+    if (!namespaces.has(namespaceName)) {
+      namespaces.set(namespaceName, {
+        self: { displayName: namespaceName, url: `${namespaceName}/index` },
+        elementType: "Namespace",
+        types: [],
+      });
+    }
+    namespaces.get(namespaceName).types.push(type);
+  }
+
+  return {
+    assemblyName,
+    apiData: { data: [...namespaces.values()] },
+  };
+}
+
+// Copy remarks, examples, exceptions and provider notes from an XML
+// documentation file onto Akov package data, matching types and members by commentId
+function mergeXmlDocs(apiData, xml) {
+  const supplements = new Map();
+  for (const member of readMembers(xml)) {
+    const doc = createSupplementalDocumentation(member);
+    if (Object.keys(doc).length > 0) {
+      supplements.set(member.commentId, doc);
+    }
+  }
+
+  function applySupplement(element, commentId) {
+    const doc = commentId && supplements.get(commentId);
+    if (!doc) return;
+    for (const [key, value] of Object.entries(doc)) {
+      if (element[key] === undefined || element[key] === null) {
+        element[key] = value;
+      }
+    }
+  }
+
+  for (const namespace of apiData.data) {
+    for (const type of namespace.types) {
+      applySupplement(
+        type,
+        type.commentId || `T:${namespace.self.displayName}.${type.name}`
+      );
+
+      const members = [
+        ...(type.constructors || []),
+        ...(type.methods || []),
+        ...(type.properties || []),
+        ...(type.fields || []),
+        ...(type.events || []),
+        ...(type.enumMembers || []),
+      ];
+      for (const member of members) {
+        applySupplement(member, member.commentId);
+      }
+    }
+  }
+
+  return apiData;
+}
+
+// Read XML documentation files into package data.
+// Returns an array of { assemblyName, apiData } entries.
+function readXmlDocs(xmlFiles) {
+  return xmlFiles.map((xmlFile) => {
+    try {
+      return parseXmlDocs(fs.readFileSync(xmlFile, "utf-8"));
+    } catch (error) {
+      throw new Error(`Failed to read ${xmlFile}: ${error.message}`);
+    }
+  });
+}
+
+export { mergeXmlDocs, parseXmlDocs, readXmlDocs, splitCommentIdParameters };
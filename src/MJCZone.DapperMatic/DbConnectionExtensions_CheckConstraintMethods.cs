@@ -112,6 +112,7 @@ public static partial class DbConnectionExtensions
     /// <param name="tx">The transaction.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>True if the constraint was created, otherwise false.</returns>
+    /// <inheritdoc cref="Interfaces.IDatabaseCheckConstraintMethods.CreateCheckConstraintIfNotExistsAsync(IDbConnection, DmCheckConstraint, IDbTransaction, CancellationToken)" path="/provider"/>
     public static async Task<bool> CreateCheckConstraintIfNotExistsAsync(
         this IDbConnection db,
         DmCheckConstraint constraint,
@@ -171,6 +172,7 @@ public static partial class DbConnectionExtensions
     /// <param name="tx">The transaction.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>True if the constraint was created, otherwise false.</returns>
+    /// <inheritdoc cref="Interfaces.IDatabaseCheckConstraintMethods.CreateCheckConstraintIfNotExistsAsync(IDbConnection, string, string, string, string, string, IDbTransaction, CancellationToken)" path="/provider"/>
     public static async Task<bool> CreateCheckConstraintIfNotExistsAsync(
         this IDbConnection db,
         string? schemaName,
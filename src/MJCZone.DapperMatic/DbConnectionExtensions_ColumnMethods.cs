@@ -559,6 +559,7 @@ public static partial class DbConnectionExtensions
     /// <param name="tx">The transaction to use, or null.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>True if the column was dropped, otherwise false.</returns>
+    /// <inheritdoc cref="Interfaces.IDatabaseColumnMethods.DropColumnIfExistsAsync(IDbConnection, string, string, string, IDbTransaction, CancellationToken)" path="/provider"/>
     public static async Task<bool> DropColumnIfExistsAsync(
         this IDbConnection db,
         string? schemaName,
@@ -21,6 +21,9 @@ public interface IDatabaseCheckConstraintMethods
     /// <param name="tx">The transaction to use, or null.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>True if the constraint was created, false otherwise.</returns>
+    /// <provider name="MySql" support="partial">Check constraints are only created on MySQL 8.0.16 and later; on older versions nothing is created and the method returns false.</provider>
+    /// <provider name="MariaDb" support="partial">Check constraints are only created on MariaDB versions later than 10.2.1; on 10.2.1 and older nothing is created and the method returns false.</provider>
+    /// <provider name="Sqlite" support="full">SQLite cannot add constraints to an existing table, so the table is recreated with the constraint and its data copied over.</provider>
     Task<bool> CreateCheckConstraintIfNotExistsAsync(
         IDbConnection db,
         DmCheckConstraint constraint,
@@ -40,6 +43,9 @@ public interface IDatabaseCheckConstraintMethods
     /// <param name="tx">The transaction to use, or null.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>True if the constraint was created, false otherwise.</returns>
+    /// <provider name="MySql" support="partial">Check constraints are only created on MySQL 8.0.16 and later; on older versions nothing is created and the method returns false.</provider>
+    /// <provider name="MariaDb" support="partial">Check constraints are only created on MariaDB versions later than 10.2.1; on 10.2.1 and older nothing is created and the method returns false.</provider>
+    /// <provider name="Sqlite" support="full">SQLite cannot add constraints to an existing table, so the table is recreated with the constraint and its data copied over.</provider>
     Task<bool> CreateCheckConstraintIfNotExistsAsync(
         IDbConnection db,
         string? schemaName,
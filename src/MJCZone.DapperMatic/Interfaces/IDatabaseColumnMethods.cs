@@ -169,6 +169,7 @@ public interface IDatabaseColumnMethods
     /// <param name="tx">The transaction to use, or null.</param>
     /// <param name="cancellationToken">The cancellation token.</param>
     /// <returns>True if the column was dropped, false otherwise.</returns>
+    /// <provider name="Sqlite" support="full">The table is recreated without the column and its data copied over.</provider>
     Task<bool> DropColumnIfExistsAsync(
         IDbConnection db,
         string? schemaName,
@@ -46,8 +46,10 @@ public partial class MySqlMethods : DatabaseMethodsBase<MySqlProviderTypeMap>, I
             await ExecuteScalarAsync<string>(db, "SELECT VERSION()", tx: tx, cancellationToken: cancellationToken)
                 .ConfigureAwait(false) ?? string.Empty;
         var version = DbProviderUtils.ExtractVersionFromVersionString(versionStr);
-        return (versionStr.Contains("MariaDB", StringComparison.OrdinalIgnoreCase) && version > new Version(10, 2, 1))
-            || version >= new Version(8, 0, 16);
+        // MariaDB has its own version numbers (10.x, 11.x), so it is never compared with MySQL's
+        return versionStr.Contains("MariaDB", StringComparison.OrdinalIgnoreCase)
+            ? version > new Version(10, 2, 1)
+            : version >= new Version(8, 0, 16);
     }
 
     /// <summary>
@@ -4,6 +4,8 @@
 // See LICENSE in the project root for license information.
 
 using System.Reflection;
+using System.Reflection.Metadata;
+using System.Reflection.Metadata.Ecma335;
 using System.Text.Json;
 using System.Xml.Linq;
 using MJCZone.DapperMatic.AspNetCore;
@@ -16,6 +18,26 @@ public class TestOutputDocs
 {
     private static readonly JsonSerializerOptions SerializationSettings = CreateSerializationSettings();
 
+    // C# keywords of the built-in types, used in nullable type names
+    private static readonly Dictionary<Type, string> CSharpTypeKeywords = new()
+    {
+        [typeof(bool)] = "bool",
+        [typeof(byte)] = "byte",
+        [typeof(sbyte)] = "sbyte",
+        [typeof(char)] = "char",
+        [typeof(decimal)] = "decimal",
+        [typeof(double)] = "double",
+        [typeof(float)] = "float",
+        [typeof(int)] = "int",
+        [typeof(uint)] = "uint",
+        [typeof(long)] = "long",
+        [typeof(ulong)] = "ulong",
+        [typeof(short)] = "short",
+        [typeof(ushort)] = "ushort",
+        [typeof(string)] = "string",
+        [typeof(object)] = "object",
+    };
+
     public TestOutputDocs(ITestOutputHelper logger)
     {
         Logger = logger;
@@ -127,6 +149,56 @@ public class TestOutputDocs
         // Write directly to the destination instead of copying to avoid file locking issues
         File.WriteAllText(docsAssemblyJsonFile, serializedContent);
         Logger.WriteLine($"Created {docsAssemblyJsonFile}");
+
+        // The Akov output does not include remarks, examples or exceptions, so the
+        // docs generator merges them in from the original xml documentation file
+        var docsAssemblyXmlFile = Path.Combine(packagesDirectory, $"{assembly.GetName().Name}.xml");
+        File.Copy(xmlFile, docsAssemblyXmlFile, overwrite: true);
+        Logger.WriteLine($"Created {docsAssemblyXmlFile}");
+
+        // Source file and line of each type and member, read from the portable pdb,
+        // so the docs generator can link to the code on GitHub
+        var pdbFile = Path.Combine(assemblyDirectory, $"{assembly.GetName().Name}.pdb");
+        if (File.Exists(pdbFile))
+        {
+            var sourceLocations = ReadSourceLocations(assembly, pdbFile, rootDirectory);
+            var docsAssemblySourcesFile = Path.Combine(
+                packagesDirectory,
+                $"{assembly.GetName().Name}.sources.json"
+            );
+            File.WriteAllText(
+                docsAssemblySourcesFile,
+                JsonSerializer.Serialize(sourceLocations, SerializationSettings)
+            );
+            Logger.WriteLine($"Created {docsAssemblySourcesFile}");
+        }
+        else
+        {
+            Logger.WriteLine($"Could not find the pdb file: {pdbFile}, skipping source links");
+        }
+
+        // Type parameters and their where constraints, which the Akov output leaves out
+        var docsAssemblyGenericsFile = Path.Combine(
+            packagesDirectory,
+            $"{assembly.GetName().Name}.generics.json"
+        );
+        File.WriteAllText(
+            docsAssemblyGenericsFile,
+            JsonSerializer.Serialize(ReadTypeParameters(assembly), SerializationSettings)
+        );
+        Logger.WriteLine($"Created {docsAssemblyGenericsFile}");
+
+        // [Obsolete] and [Experimental] markers, nullable annotations and attribute usages,
+        // which the Akov output leaves out as well
+        var docsAssemblyAttributesFile = Path.Combine(
+            packagesDirectory,
+            $"{assembly.GetName().Name}.attributes.json"
+        );
+        File.WriteAllText(
+            docsAssemblyAttributesFile,
+            JsonSerializer.Serialize(ReadApiAttributes(assembly), SerializationSettings)
+        );
+        Logger.WriteLine($"Created {docsAssemblyAttributesFile}");
         return;
 
         // The following is prototypical code created BEFORE the Akov.NetDocsProcessor was used.
@@ -314,6 +386,441 @@ public class TestOutputDocs
 
         // Assert.True(true);
     }
+
+    private static SortedDictionary<string, SourceLocation> ReadSourceLocations(
+        Assembly assembly,
+        string pdbFile,
+        string rootDirectory
+    )
+    {
+        using var pdbStream = File.OpenRead(pdbFile);
+        using var pdbProvider = MetadataReaderProvider.FromPortablePdbStream(pdbStream);
+        var pdb = pdbProvider.GetMetadataReader();
+
+        // Async and iterator methods keep their sequence points on the state machine's MoveNext method
+        var stateMachineMethods = new Dictionary<MethodDefinitionHandle, MethodDebugInformationHandle>();
+        foreach (var debugHandle in pdb.MethodDebugInformation)
+        {
+            var kickoffMethod = pdb.GetMethodDebugInformation(debugHandle).GetStateMachineKickoffMethod();
+            if (!kickoffMethod.IsNil)
+            {
+                stateMachineMethods[kickoffMethod] = debugHandle;
+            }
+        }
+
+        SourceLocation? GetMethodLocation(MethodBase method)
+        {
+            var methodHandle = (MethodDefinitionHandle)MetadataTokens.EntityHandle(method.MetadataToken);
+            if (!stateMachineMethods.TryGetValue(methodHandle, out var debugHandle))
+            {
+                debugHandle = methodHandle.ToDebugInformationHandle();
+            }
+
+            var sequencePoints = pdb.GetMethodDebugInformation(debugHandle)
+                .GetSequencePoints()
+                .Where(p => !p.IsHidden)
+                .ToList();
+            if (sequencePoints.Count == 0)
+            {
+                // Abstract and interface members have no body
+                return null;
+            }
+
+            var firstPoint = sequencePoints.MinBy(p => p.StartLine);
+            var documentPath = pdb.GetString(pdb.GetDocument(firstPoint.Document).Name);
+            var relativePath = Path.IsPathRooted(documentPath)
+                ? Path.GetRelativePath(rootDirectory, documentPath)
+                : documentPath;
+            return new SourceLocation(relativePath.Replace('\\', '/'), firstPoint.StartLine);
+        }
+
+        var sourceLocations = new SortedDictionary<string, SourceLocation>(StringComparer.Ordinal);
+        var bindingFlags =
+            BindingFlags.Public
+            | BindingFlags.NonPublic
+            | BindingFlags.Instance
+            | BindingFlags.Static
+            | BindingFlags.DeclaredOnly;
+
+        foreach (var type in assembly.GetTypes().Where(t => t.IsVisible))
+        {
+            var typeName = GetCommentIdTypeName(type);
+            var memberLocations = new List<SourceLocation>();
+            void AddLocation(string commentId, MethodBase? method)
+            {
+                if (method == null || !(method.IsPublic || method.IsFamily || method.IsFamilyOrAssembly))
+                    return;
+
+                var location = GetMethodLocation(method);
+                if (location == null)
+                    return;
+
+                sourceLocations[commentId] = location;
+                memberLocations.Add(location);
+            }
+
+            foreach (var constructor in type.GetConstructors(bindingFlags).Where(c => !c.IsStatic))
+            {
+                AddLocation(GetMethodCommentId(constructor), constructor);
+            }
+            foreach (var method in type.GetMethods(bindingFlags).Where(m => !m.IsSpecialName || m.Name.StartsWith("op_")))
+            {
+                AddLocation(GetMethodCommentId(method), method);
+            }
+            foreach (var property in type.GetProperties(bindingFlags))
+            {
+                var indexParameters = GetCommentIdParameters(property.GetIndexParameters());
+                AddLocation($"P:{typeName}.{property.Name}{indexParameters}", property.GetMethod ?? property.SetMethod);
+            }
+            foreach (var eventInfo in type.GetEvents(bindingFlags))
+            {
+                AddLocation($"E:{typeName}.{eventInfo.Name}", eventInfo.AddMethod);
+            }
+
+            if (memberLocations.Count == 0)
+                continue;
+
+            // Types link to the file named after them, since partial classes span several files
+            var typeFileName = $"{type.Name.Split('`')[0]}.cs";
+            var typePath =
+                memberLocations.Select(l => l.Path).FirstOrDefault(p => Path.GetFileName(p) == typeFileName)
+                ?? memberLocations.GroupBy(l => l.Path).OrderByDescending(g => g.Count()).First().Key;
+            sourceLocations[$"T:{typeName}"] = new SourceLocation(typePath, null);
+        }
+
+        return sourceLocations;
+    }
+
+    // Lists the type parameters of every generic type and method by commentId, e.g.
+    // "T:MJCZone.DapperMatic.Providers.DbProviderTypeMapBase`1" -> [{ name: "TImpl", constraints: ["class", "new()"] }]
+    private static SortedDictionary<string, List<TypeParameter>> ReadTypeParameters(Assembly assembly)
+    {
+        var typeParameters = new SortedDictionary<string, List<TypeParameter>>(StringComparer.Ordinal);
+        var bindingFlags =
+            BindingFlags.Public
+            | BindingFlags.NonPublic
+            | BindingFlags.Instance
+            | BindingFlags.Static
+            | BindingFlags.DeclaredOnly;
+
+        foreach (var type in assembly.GetTypes().Where(t => t.IsVisible))
+        {
+            // Nested types repeat the type parameters of their declaring type
+            var declaringArgumentCount = type.DeclaringType?.GetGenericArguments().Length ?? 0;
+            var ownArguments = type.GetGenericArguments().Skip(declaringArgumentCount).ToList();
+            if (type.IsGenericTypeDefinition && ownArguments.Count > 0)
+            {
+                typeParameters[$"T:{GetCommentIdTypeName(type)}"] = ownArguments.Select(GetTypeParameter).ToList();
+            }
+
+            foreach (
+                var method in type.GetMethods(bindingFlags)
+                    .Where(m => m.IsGenericMethodDefinition && (m.IsPublic || m.IsFamily || m.IsFamilyOrAssembly))
+            )
+            {
+                typeParameters[GetMethodCommentId(method)] = method
+                    .GetGenericArguments()
+                    .Select(GetTypeParameter)
+                    .ToList();
+            }
+        }
+
+        return typeParameters;
+    }
+
+    // Lists the constraints of a type parameter in the order of a where clause:
+    // class or struct, then base class and interfaces, then new()
+    private static TypeParameter GetTypeParameter(Type parameter)
+    {
+        var attributes = parameter.GenericParameterAttributes;
+        var isStruct = attributes.HasFlag(GenericParameterAttributes.NotNullableValueTypeConstraint);
+        var constraints = new List<string>();
+        if (isStruct)
+            constraints.Add("struct");
+        else if (attributes.HasFlag(GenericParameterAttributes.ReferenceTypeConstraint))
+            constraints.Add("class");
+
+        // struct implies the System.ValueType constraint and new()
+        constraints.AddRange(
+            parameter.GetGenericParameterConstraints().Where(t => t != typeof(ValueType)).Select(GetDisplayTypeName)
+        );
+        if (!isStruct && attributes.HasFlag(GenericParameterAttributes.DefaultConstructorConstraint))
+            constraints.Add("new()");
+
+        return new TypeParameter(parameter.Name, constraints);
+    }
+
+    // Builds the C# name of a constraint type without namespaces, e.g. "IEquatable<TImpl>"
+    private static string GetDisplayTypeName(Type type)
+    {
+        if (type.IsGenericParameter)
+            return type.Name;
+        if (type.IsArray)
+            return $"{GetDisplayTypeName(type.GetElementType()!)}[]";
+        if (!type.IsGenericType)
+            return type.Name;
+
+        var name = type.Name.Split('`')[0];
+        return $"{name}<{string.Join(", ", type.GetGenericArguments().Select(GetDisplayTypeName))}>";
+    }
+
+    // Lists what the docs show about the attributes of every public type and member by commentId, e.g.
+    // "P:MJCZone.DapperMatic.Models.DmTable.SchemaName" -> { returnType: "string?" }
+    private static SortedDictionary<string, ApiAttributes> ReadApiAttributes(Assembly assembly)
+    {
+        var apiAttributes = new SortedDictionary<string, ApiAttributes>(StringComparer.Ordinal);
+        var nullabilityContext = new NullabilityInfoContext();
+        var bindingFlags =
+            BindingFlags.Public
+            | BindingFlags.NonPublic
+            | BindingFlags.Instance
+            | BindingFlags.Static
+            | BindingFlags.DeclaredOnly;
+
+        void Add(
+            string commentId,
+            MemberInfo member,
+            NullabilityInfo? returnNullability,
+            ParameterInfo[] parameters
+        )
+        {
+            var attributes = member.GetCustomAttributesData();
+            var obsolete = attributes.FirstOrDefault(a => a.AttributeType == typeof(ObsoleteAttribute));
+            var experimental = attributes.FirstOrDefault(a =>
+                a.AttributeType.FullName == "System.Diagnostics.CodeAnalysis.ExperimentalAttribute"
+            );
+
+            var returnType = returnNullability != null ? GetNullableTypeName(returnNullability) : null;
+            var parameterTypes = parameters
+                .Select(p => (Name: p.Name!, Type: GetNullableTypeName(nullabilityContext.Create(p))))
+                .Where(p => p.Type.Contains('?'))
+                .ToDictionary(p => p.Name, p => p.Type);
+            var usages = attributes.Where(IsDocumentedAttribute).Select(FormatAttribute).ToList();
+
+            var entry = new ApiAttributes(
+                obsolete == null
+                    ? null
+                    : new ObsoleteUsage(
+                        obsolete.ConstructorArguments.Count > 0 ? obsolete.ConstructorArguments[0].Value as string : null,
+                        obsolete.ConstructorArguments.Count > 1 && obsolete.ConstructorArguments[1].Value is true
+                    ),
+                experimental == null
+                    ? null
+                    : new ExperimentalUsage(
+                        (string)experimental.ConstructorArguments[0].Value!,
+                        experimental.NamedArguments.FirstOrDefault(a => a.MemberName == "UrlFormat").TypedValue.Value
+                            as string
+                    ),
+                returnType != null && returnType.Contains('?') ? returnType : null,
+                parameterTypes.Count > 0 ? parameterTypes : null,
+                usages.Count > 0 ? usages : null
+            );
+            if (entry != new ApiAttributes(null, null, null, null, null))
+            {
+                apiAttributes[commentId] = entry;
+            }
+        }
+
+        bool IsVisible(MethodBase? method) =>
+            method != null && (method.IsPublic || method.IsFamily || method.IsFamilyOrAssembly);
+
+        foreach (var type in assembly.GetTypes().Where(t => t.IsVisible))
+        {
+            var typeName = GetCommentIdTypeName(type);
+            Add($"T:{typeName}", type, null, []);
+
+            foreach (var constructor in type.GetConstructors(bindingFlags).Where(c => !c.IsStatic && IsVisible(c)))
+            {
+                Add(GetMethodCommentId(constructor), constructor, null, constructor.GetParameters());
+            }
+            foreach (
+                var method in type.GetMethods(bindingFlags)
+                    .Where(m => (!m.IsSpecialName || m.Name.StartsWith("op_")) && IsVisible(m))
+            )
+            {
+                var returnNullability =
+                    method.ReturnType == typeof(void) ? null : nullabilityContext.Create(method.ReturnParameter);
+                Add(GetMethodCommentId(method), method, returnNullability, method.GetParameters());
+            }
+            foreach (
+                var property in type.GetProperties(bindingFlags)
+                    .Where(p => IsVisible(p.GetMethod) || IsVisible(p.SetMethod))
+            )
+            {
+                var indexParameters = property.GetIndexParameters();
+                Add(
+                    $"P:{typeName}.{property.Name}{GetCommentIdParameters(indexParameters)}",
+                    property,
+                    nullabilityContext.Create(property),
+                    indexParameters
+                );
+            }
+            foreach (var field in type.GetFields(bindingFlags).Where(f => f.IsPublic || f.IsFamily || f.IsFamilyOrAssembly))
+            {
+                // Enum values have no nullability
+                Add($"F:{typeName}.{field.Name}", field, type.IsEnum ? null : nullabilityContext.Create(field), []);
+            }
+        }
+
+        return apiAttributes;
+    }
+
+    // Attributes readers need to know about: DapperMatic's own ([DmTable], [DmColumn], ...) and
+    // the data annotations DapperMatic reads. Compiler-generated attributes are left out.
+    private static bool IsDocumentedAttribute(CustomAttributeData attribute)
+    {
+        var attributeNamespace = attribute.AttributeType.Namespace ?? string.Empty;
+        return attributeNamespace.StartsWith("MJCZone.DapperMatic", StringComparison.Ordinal)
+            || attributeNamespace.StartsWith("System.ComponentModel.DataAnnotations", StringComparison.Ordinal);
+    }
+
+    // Formats an attribute usage the way it is written in C#, e.g. [DmColumn("id", isPrimaryKey: true)].
+    // Optional constructor arguments left at their default value are omitted.
+    private static string FormatAttribute(CustomAttributeData attribute)
+    {
+        var name = attribute.AttributeType.Name;
+        if (name.EndsWith("Attribute", StringComparison.Ordinal))
+            name = name[..^"Attribute".Length];
+
+        var parameters = attribute.Constructor.GetParameters();
+        var arguments = new List<string>();
+        var useNames = false;
+        for (var i = 0; i < attribute.ConstructorArguments.Count; i++)
+        {
+            var argument = attribute.ConstructorArguments[i];
+            var parameter = parameters[i];
+            if (parameter.HasDefaultValue && Equals(parameter.DefaultValue, argument.Value))
+            {
+                // The arguments after an omitted one need their parameter name
+                useNames = true;
+                continue;
+            }
+            var value = FormatAttributeValue(argument);
+            arguments.Add(useNames ? $"{parameter.Name}: {value}" : value);
+        }
+        arguments.AddRange(
+            attribute.NamedArguments.Select(a => $"{a.MemberName} = {FormatAttributeValue(a.TypedValue)}")
+        );
+
+        return arguments.Count == 0 ? $"[{name}]" : $"[{name}({string.Join(", ", arguments)})]";
+    }
+
+    private static string FormatAttributeValue(CustomAttributeTypedArgument argument) =>
+        argument.Value switch
+        {
+            null => "null",
+            string text => $"\"{text.Replace("\\", "\\\\").Replace("\"", "\\\"")}\"",
+            bool flag => flag ? "true" : "false",
+            char character => $"'{character}'",
+            Type type => $"typeof({GetDisplayTypeName(type)})",
+            IReadOnlyCollection<CustomAttributeTypedArgument> items =>
+                $"new[] {{ {string.Join(", ", items.Select(FormatAttributeValue))} }}",
+            _ when argument.ArgumentType.IsEnum =>
+                $"{argument.ArgumentType.Name}.{Enum.ToObject(argument.ArgumentType, argument.Value)}",
+            IFormattable number => number.ToString(null, System.Globalization.CultureInfo.InvariantCulture),
+            var value => value.ToString() ?? "null",
+        };
+
+    // Builds the C# name of a type with its nullable annotations, e.g. "Task<DmTable?>" or "string?"
+    private static string GetNullableTypeName(NullabilityInfo nullability)
+    {
+        var type = nullability.Type.IsByRef ? nullability.Type.GetElementType()! : nullability.Type;
+        var underlyingType = Nullable.GetUnderlyingType(type);
+        if (underlyingType != null)
+            return $"{CSharpTypeKeywords.GetValueOrDefault(underlyingType) ?? GetDisplayTypeName(underlyingType)}?";
+
+        string name;
+        if (CSharpTypeKeywords.TryGetValue(type, out var keyword))
+            name = keyword;
+        else if (type.IsArray && nullability.ElementType != null)
+            name = $"{GetNullableTypeName(nullability.ElementType)}[]";
+        else if (
+            type.IsGenericType
+            && nullability.GenericTypeArguments.Length == type.GetGenericArguments().Length
+        )
+            name =
+                $"{type.Name.Split('`')[0]}<{string.Join(", ", nullability.GenericTypeArguments.Select(GetNullableTypeName))}>";
+        else
+            name = GetDisplayTypeName(type);
+
+        return !type.IsValueType && nullability.ReadState == NullabilityState.Nullable ? $"{name}?" : name;
+    }
+
+    // Builds the compiler's documentation comment id, e.g.
+    // "M:MJCZone.DapperMatic.DbConnectionExtensions.CreateTablesIfNotExistsAsync(System.Data.IDbConnection,System.Collections.Generic.IEnumerable{MJCZone.DapperMatic.Models.DmTable},...)"
+    private static string GetMethodCommentId(MethodBase method)
+    {
+        var name = method.IsConstructor ? "#ctor" : method.Name;
+        if (method.IsGenericMethodDefinition)
+        {
+            name += $"``{method.GetGenericArguments().Length}";
+        }
+
+        var typeName = GetCommentIdTypeName(method.DeclaringType!);
+        var commentId = $"M:{typeName}.{name}{GetCommentIdParameters(method.GetParameters())}";
+        if (method is MethodInfo { Name: "op_Implicit" or "op_Explicit" } conversion)
+        {
+            commentId += $"~{GetCommentIdTypeName(conversion.ReturnType)}";
+        }
+        return commentId;
+    }
+
+    private static string GetCommentIdParameters(ParameterInfo[] parameters) =>
+        parameters.Length == 0
+            ? string.Empty
+            : $"({string.Join(",", parameters.Select(p => GetCommentIdTypeName(p.ParameterType)))})";
+
+    private static string GetCommentIdTypeName(Type type)
+    {
+        if (type.IsGenericParameter)
+        {
+            return type.DeclaringMethod != null
+                ? $"``{type.GenericParameterPosition}"
+                : $"`{type.GenericParameterPosition}";
+        }
+        if (type.IsByRef)
+            return $"{GetCommentIdTypeName(type.GetElementType()!)}@";
+        if (type.IsPointer)
+            return $"{GetCommentIdTypeName(type.GetElementType()!)}*";
+        if (type.IsArray)
+        {
+            var rank = type.GetArrayRank();
+            var dimensions = rank == 1 ? string.Empty : string.Join(",", Enumerable.Repeat("0:", rank));
+            return $"{GetCommentIdTypeName(type.GetElementType()!)}[{dimensions}]";
+        }
+
+        var prefix =
+            type.IsNested ? $"{GetCommentIdTypeName(type.DeclaringType!)}."
+            : string.IsNullOrEmpty(type.Namespace) ? string.Empty
+            : $"{type.Namespace}.";
+
+        // Type definitions keep their arity (List`1), constructed types list their arguments (List{System.String})
+        if (!type.IsGenericType || type.IsGenericTypeDefinition)
+            return prefix + type.Name;
+
+        var declaringArgumentCount = type.DeclaringType?.GetGenericArguments().Length ?? 0;
+        var ownArguments = type.GetGenericArguments().Skip(declaringArgumentCount).ToArray();
+        var name = type.Name.Split('`')[0];
+        return ownArguments.Length == 0
+            ? prefix + name
+            : $"{prefix}{name}{{{string.Join(",", ownArguments.Select(GetCommentIdTypeName))}}}";
+    }
+
+    private sealed record SourceLocation(string Path, int? Line);
+
+    private sealed record TypeParameter(string Name, List<string> Constraints);
+
+    private sealed record ApiAttributes(
+        ObsoleteUsage? Obsolete,
+        ExperimentalUsage? Experimental,
+        string? ReturnType,
+        Dictionary<string, string>? ParameterTypes,
+        List<string>? Attributes
+    );
+
+    private sealed record ObsoleteUsage(string? Message, bool IsError);
+
+    private sealed record ExperimentalUsage(string DiagnosticId, string? UrlFormat);
 }
 
 public class Docs